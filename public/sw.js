@@ -1,5 +1,18 @@
 
 const CACHE_NAME = 'meal-tracker-v2';
+const SNOOZE_CACHE = 'meal-tracker-snoozes';
+const SNOOZE_KEY = './__snoozes';
+const SNOOZE_MS = 30 * 60 * 1000;
+const SNOOZE_SYNC_TAG = 'check-snoozes';
+// Kept under the few minutes browsers give a sync event to finish
+const SYNC_WAIT_MS = 3 * 60 * 1000;
+const SHARE_CACHE = 'meal-tracker-share';
+// Same as SKIP_CACHE and SKIPS_KEY in src/lib/skippedMeals.js
+const SKIP_CACHE = 'meal-tracker-skips';
+const SKIPS_KEY = '__skips';
+const SKIP_KEEP_MS = 60 * 24 * 60 * 60 * 1000;
+// Same as MAX_PHOTOS_PER_MEAL in src/lib/photoImport.js
+const MAX_SHARED_PHOTOS = 5;
 const PRECACHE_URLS = [
   './',
   './index.html',
@@ -18,8 +31,18 @@ self.addEventListener('install', (event) => {
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((keys) =>
-      Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
-    )
+      Promise.all(
+        keys
+          .filter(
+            (key) =>
+              key !== CACHE_NAME &&
+              key !== SNOOZE_CACHE &&
+              key !== SHARE_CACHE &&
+              key !== SKIP_CACHE
+          )
+          .map((key) => caches.delete(key))
+      )
+    ).then(fireDueSnoozes)
   );
   self.clients.claim();
 });
@@ -27,8 +50,14 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
   const { request } = event;
 
+  if (request.method === 'POST' && request.url.endsWith('/share-target')) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+
   // For navigation requests, try network first then fall back to cached index.html
   if (request.mode === 'navigate') {
+    event.waitUntil(fireDueSnoozes());
     event.respondWith(
       fetch(request)
         .then((response) => {
@@ -55,3 +84,232 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// ========== Share target ==========
+
+// Stashes photos and text shared from other apps for the page to pick up
+// (see src/lib/shareTarget.js), then opens the app to log them.
+async function receiveShare(request) {
+  const form = await request.formData();
+  const photos = form
+    .getAll('photos')
+    .filter((file) => file instanceof File && file.type.startsWith('image/'));
+  // Apps fill these inconsistently, e.g. putting the link in "text" too
+  const text = [
+    ...new Set(
+      ['title', 'text', 'url']
+        .map((name) => (form.get(name) || '').trim())
+        .filter(Boolean)
+    ),
+  ].join('\n');
+
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  const files = photos.slice(0, MAX_SHARED_PHOTOS).map((file, i) => ({
+    key: `__share/${i}`,
+    name: file.name || `shared-${i + 1}.jpg`,
+    type: file.type,
+    file,
+  }));
+  await Promise.all(
+    files.map(({ key, type, file }) =>
+      cache.put(
+        new URL(key, self.registration.scope).href,
+        new Response(file, { headers: { 'Content-Type': type } })
+      )
+    )
+  );
+  await cache.put(
+    new URL('__share/meta', self.registration.scope).href,
+    new Response(
+      JSON.stringify({
+        text,
+        total: photos.length,
+        files: files.map(({ key, name, type }) => ({ key, name, type })),
+      })
+    )
+  );
+  return Response.redirect(`${self.registration.scope}?action=share`, 303);
+}
+
+// ========== Reminder notifications ==========
+
+// A snoozed reminder is scheduled with Notification Triggers where the
+// browser has them. Otherwise it is persisted, so it survives the worker
+// being stopped, and a one-off background sync keeps waking the worker until
+// it is due. Page loads, messages and periodic syncs also fire due snoozes,
+// for browsers that have neither.
+async function readSnoozes() {
+  const cache = await caches.open(SNOOZE_CACHE);
+  const res = await cache.match(SNOOZE_KEY);
+  return res ? res.json() : [];
+}
+
+async function writeSnoozes(snoozes) {
+  const cache = await caches.open(SNOOZE_CACHE);
+  await cache.put(SNOOZE_KEY, new Response(JSON.stringify(snoozes)));
+}
+
+function showReminder({ title, body, tag, data, actions }, extra = {}) {
+  return self.registration.showNotification(title, {
+    body,
+    tag,
+    data,
+    actions,
+    renotify: true,
+    ...extra,
+  });
+}
+
+async function fireDueSnoozes() {
+  const snoozes = await readSnoozes();
+  if (snoozes.length === 0) return;
+  const now = Date.now();
+  const due = snoozes.filter((s) => s.at <= now);
+  if (due.length === 0) return;
+  await writeSnoozes(snoozes.filter((s) => s.at > now));
+  await Promise.all(due.map((s) => showReminder(s.reminder)));
+}
+
+async function cancelSnooze(tag) {
+  const snoozes = await readSnoozes();
+  await writeSnoozes(snoozes.filter((s) => s.reminder.tag !== tag));
+  const scheduled = await self.registration.getNotifications({
+    tag,
+    includeTriggered: true,
+  });
+  scheduled.forEach((n) => n.close());
+}
+
+// Waits out a snooze that comes due within SYNC_WAIT_MS. Later ones fail the
+// sync so the browser retries it with backoff, and once it stops retrying
+// the sync is registered again.
+async function waitForSnoozes(lastChance) {
+  await fireDueSnoozes();
+  const snoozes = await readSnoozes();
+  if (snoozes.length === 0) return;
+  const wait = Math.min(...snoozes.map((s) => s.at)) - Date.now();
+  if (wait <= SYNC_WAIT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, wait)));
+    return waitForSnoozes(lastChance);
+  }
+  if (lastChance) await self.registration.sync.register(SNOOZE_SYNC_TAG);
+  throw new Error('Snoozed reminder not due yet');
+}
+
+async function snooze(notification) {
+  const reminder = {
+    title: notification.title,
+    body: notification.body,
+    tag: notification.tag,
+    data: notification.data,
+    actions: notification.actions.map(({ action, title }) => ({ action, title })),
+  };
+  const at = Date.now() + SNOOZE_MS;
+  if ('showTrigger' in Notification.prototype) {
+    /* global TimestampTrigger */
+    return showReminder(reminder, { showTrigger: new TimestampTrigger(at) });
+  }
+
+  const snoozes = await readSnoozes();
+  await writeSnoozes([
+    ...snoozes.filter((s) => s.reminder.tag !== reminder.tag),
+    { at, reminder },
+  ]);
+  if (self.registration.sync) {
+    await self.registration.sync.register(SNOOZE_SYNC_TAG);
+  }
+}
+
+function formatDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Marks the meal as skipped for that day so later reminders and the day view
+// can tell. Markers older than SKIP_KEEP_MS are dropped on the way.
+async function recordSkip({ type, profileId, date }) {
+  const cache = await caches.open(SKIP_CACHE);
+  const url = new URL(SKIPS_KEY, self.registration.scope).href;
+  const res = await cache.match(url);
+  const skips = res ? await res.json() : [];
+  const now = Date.now();
+  const kept = skips.filter(
+    (s) =>
+      now - s.at < SKIP_KEEP_MS &&
+      !(s.date === date && s.type === type && s.profileId === profileId)
+  );
+  await cache.put(
+    url,
+    new Response(JSON.stringify([...kept, { date, type, profileId, at: now }]))
+  );
+}
+
+async function openAddMeal(mealType, profileId) {
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  const client = windows.find((c) => c.url.startsWith(self.registration.scope));
+  if (client) {
+    await client.focus();
+    client.postMessage({ type: 'log-meal', mealType, profileId });
+    return;
+  }
+  const params = new URLSearchParams({ action: 'add', type: mealType });
+  if (profileId) params.set('profile', profileId);
+  await self.clients.openWindow(`${self.registration.scope}?${params}`);
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach((c) => c.postMessage(message));
+}
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  const mealType = notification.data?.type || 'snack';
+  const profileId = notification.data?.profileId;
+  notification.close();
+
+  if (action === 'snooze') {
+    event.waitUntil(snooze(notification));
+  } else if (action === 'skip') {
+    const date = notification.data?.date || formatDate(new Date());
+    event.waitUntil(
+      cancelSnooze(notification.tag)
+        .then(() => recordSkip({ type: mealType, profileId, date }))
+        .then(() =>
+          notifyClients({ type: 'meal-skipped', mealType, profileId, date })
+        )
+    );
+  } else {
+    event.waitUntil(
+      cancelSnooze(notification.tag).then(() =>
+        openAddMeal(mealType, profileId)
+      )
+    );
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'check-snoozes') {
+    event.waitUntil(fireDueSnoozes());
+  }
+});
+
+// Registered by snooze() where Background Sync is available
+self.addEventListener('sync', (event) => {
+  if (event.tag === SNOOZE_SYNC_TAG) {
+    event.waitUntil(waitForSnoozes(event.lastChance));
+  }
+});
+
+// Registered by the page where Periodic Background Sync is available
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SNOOZE_SYNC_TAG) {
+    event.waitUntil(fireDueSnoozes());
+  }
+});
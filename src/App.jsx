@@ -9,20 +9,166 @@ import {
   getWeekEnd,
   formatTime,
   formatFullDate,
+  toTimeInputValue,
+  combineDateTime,
   getMealEmoji,
+  mealTypeEmojis,
+  mealTypeColors,
+  downloadBlob,
+  NUTRIENTS,
+  hasNutrition,
+  sumNutrition,
+  sumItems,
+  formatNutrient,
+  groupMealsByDay,
+  formatMonth,
+  formatBytes,
 } from "./lib/helpers";
 import {
   openDB,
   addMeal,
   updateMeal,
   deleteMeal,
+  trashMeal,
+  restoreMeal,
+  getTrashedMeals,
+  purgeTrash,
   getMealsByDate,
-  getAllMeals,
-  getDatesWithMeals,
+  getHistoryMonth,
+  getHistoryMonths,
+  getMonthSummaries,
+  arrangeMealPhotos,
+  getMealsInRange,
+  searchMeals,
+  getTagCounts,
+  getMealsByTag,
+  logMealAgain,
+  addTemplate,
+  getTemplates,
+  deleteTemplate,
+  exportMealsInRange,
   blobToURL,
   revokeURL,
+  getProfiles,
+  resolveActiveProfile,
+  saveProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfileId,
+  changePasscode,
+  finishPasscodeChange,
+  getMealPhotos,
+  generatePendingThumbnails,
+  getPhotoUsageByMonth,
+  recompressPhotosBefore,
+  stripPhotosBefore,
+  PHOTO_MAX_WIDTH,
+  PHOTO_QUALITY,
 } from "./lib/mealDB";
-import { initNotifications } from "./lib/notifications";
+import {
+  readPhotoTimes,
+  clusterPhotos,
+  importPhotoClusters,
+  guessMealType,
+  DEFAULT_CLUSTER_GAP_MINUTES,
+  MAX_PHOTOS_PER_MEAL,
+} from "./lib/photoImport";
+import {
+  getStorageEstimate,
+  isStoragePersisted,
+  requestPersistentStorage,
+} from "./lib/storage";
+import {
+  isLockEnabled,
+  unlock,
+  lock,
+  getAutoLockMinutes,
+  saveAutoLockMinutes,
+  hasPendingPasscodeChange,
+} from "./lib/passcode";
+import {
+  initNotifications,
+  getReminderSettings,
+  saveReminderSettings,
+  requestNotificationPermission,
+} from "./lib/notifications";
+import { exportBackup, importBackup } from "./lib/backup";
+import { takeSharedItems } from "./lib/shareTarget";
+import { getSkippedMealTypes } from "./lib/skippedMeals";
+import { renderDayCard } from "./lib/dayCard";
+import { getMealStats } from "./lib/stats";
+import {
+  getTrashRetentionDays,
+  saveTrashRetentionDays,
+  purgeExpiredTrash,
+} from "./lib/trash";
+import {
+  getGoalSettings,
+  saveGoalSettings,
+  getGoalStatuses,
+  getStreaks,
+} from "./lib/goals";
+import {
+  searchFoods,
+  countFoods,
+  importFoodCatalog,
+} from "./lib/foodCatalog";
+
+const GOAL_STATUS_CLASSES = {
+  met: "bg-emerald-400",
+  partial: "bg-amber-400",
+  missed: "bg-white/20",
+};
+
+// Reminder notifications open the app with ?action=add&type=<mealType>
+const launchParams = new URLSearchParams(window.location.search);
+const launchAddType =
+  launchParams.get("action") === "add"
+    ? launchParams.get("type") || "snack"
+    : null;
+if (launchParams.get("profile")) setActiveProfileId(launchParams.get("profile"));
+// Photos shared from other apps open the app with ?action=share
+const launchShared =
+  launchParams.get("action") === "share" ? takeSharedItems() : null;
+
+const PROFILE_EMOJIS = ["🙂", "👩", "👨", "👧", "👦", "👵", "👴", "🐶"];
+
+function emptyHistorySearch() {
+  return { query: "", type: "", startDate: "", endDate: "", hasPhotos: false };
+}
+
+// Saved photos are edited as thumbnail + full-size pairs so saving a meal
+// doesn't re-compress them. Like new uploads, each item owns its `url`.
+function pendingFromPhotos(thumbs = [], fulls = []) {
+  return thumbs.map((thumb, i) => ({
+    file: fulls[i] || thumb,
+    thumb,
+    url: blobToURL(thumb),
+  }));
+}
+
+const CLUSTER_GAP_OPTIONS = [15, 30, 60, 120, 240];
+
+// Days covered by the printable report for { period: "week" | "month", date }
+function getReportDates({ period, date }) {
+  const d = new Date(date + "T12:00:00");
+  if (period === "week") return getWeekDates(getWeekStart(d));
+  const days = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  return Array.from(
+    { length: days },
+    (_, i) => new Date(d.getFullYear(), d.getMonth(), i + 1)
+  );
+}
+
+function monthsAgo(months) {
+  const d = new Date();
+  d.setMonth(d.getMonth() - months);
+  return formatDate(d);
+}
+
+function emptyNutrition() {
+  return Object.fromEntries(NUTRIENTS.map(({ key }) => [key, ""]));
+}
 
 export default function App() {
   const [currentWeekStart, setCurrentWeekStart] = useState(() =>
@@ -32,37 +178,141 @@ export default function App() {
     formatDate(new Date())
   );
   const [meals, setMeals] = useState([]);
-  const [datesWithMeals, setDatesWithMeals] = useState(new Set());
+  const [dayStatuses, setDayStatuses] = useState(new Map());
+  const [skippedTypes, setSkippedTypes] = useState([]);
+  // Bumped when a reminder's "Skipped meal" action records a skip
+  const [skipsVersion, setSkipsVersion] = useState(0);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [calendarMonth, setCalendarMonth] = useState(() =>
+    formatDate(new Date()).slice(0, 7)
+  );
+  const [calendarMeals, setCalendarMeals] = useState([]);
+  const [goals, setGoals] = useState(getGoalSettings);
+  const [streaks, setStreaks] = useState(null);
   const [dbReady, setDbReady] = useState(false);
+  const [dbUpgrade, setDbUpgrade] = useState(null);
+  const [dbError, setDbError] = useState(null);
   const [toast, setToast] = useState(null);
 
+  // Profiles
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfile, setActiveProfile] = useState(getActiveProfileId);
+  const [showProfileModal, setShowProfileModal] = useState(false);
+  const [newProfileName, setNewProfileName] = useState("");
+  const [newProfileEmoji, setNewProfileEmoji] = useState(PROFILE_EMOJIS[0]);
+
+  // Passcode lock
+  const [lockEnabled, setLockEnabled] = useState(isLockEnabled);
+  const [locked, setLocked] = useState(isLockEnabled);
+  const [autoLockMinutes, setAutoLockMinutes] = useState(getAutoLockMinutes);
+  const [showLockModal, setShowLockModal] = useState(false);
+  const [lockBusy, setLockBusy] = useState(false);
+
   // Modals
-  const [showAddModal, setShowAddModal] = useState(false);
+  const [showAddModal, setShowAddModal] = useState(launchAddType !== null);
   const [showViewModal, setShowViewModal] = useState(false);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
   const [showLightbox, setShowLightbox] = useState(false);
-  const [lightboxUrl, setLightboxUrl] = useState("");
+  const [lightboxIndex, setLightboxIndex] = useState(0);
 
   // Add/Edit form
   const [editingMeal, setEditingMeal] = useState(null);
-  const [mealType, setMealType] = useState("lunch");
+  const [mealType, setMealType] = useState(launchAddType || "lunch");
   const [mealNotes, setMealNotes] = useState("");
+  const [mealTime, setMealTime] = useState(() => toTimeInputValue(Date.now()));
+  const [mealNutrition, setMealNutrition] = useState(emptyNutrition);
+  const [mealItems, setMealItems] = useState([]);
+  const [mealTags, setMealTags] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [foodQuery, setFoodQuery] = useState("");
+  const [foodResults, setFoodResults] = useState([]);
+  const [foodCount, setFoodCount] = useState(0);
+  const foodSearchSeq = useRef(0);
   const [pendingImages, setPendingImages] = useState([]);
+  const [photoTakenAt, setPhotoTakenAt] = useState(null);
   const fileInputRef = useRef(null);
 
   // View modal
   const [viewMeal, setViewMeal] = useState(null);
+  const [viewPhotos, setViewPhotos] = useState(null);
+
+  // Favourites
+  const [templates, setTemplates] = useState([]);
+
+  // Trash
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [trashedMeals, setTrashedMeals] = useState([]);
+  const [trashDays, setTrashDays] = useState(getTrashRetentionDays);
 
   // History
   const [historyData, setHistoryData] = useState([]);
+  const [historyMonths, setHistoryMonths] = useState([]);
+  // Oldest month loaded so far; null once everything is loaded
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const historyLoadSeq = useRef(0);
+  const [historySearch, setHistorySearch] = useState(emptyHistorySearch);
+  const [historyResults, setHistoryResults] = useState([]);
+  const historySearchSeq = useRef(0);
+
+  // Reminders
+  const [showReminderModal, setShowReminderModal] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(getReminderSettings);
+
+  // Tag browser
+  const [showTagModal, setShowTagModal] = useState(false);
+  const [tagCounts, setTagCounts] = useState([]);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [tagDayData, setTagDayData] = useState([]);
+
+  // Goals
+  const [showGoalsModal, setShowGoalsModal] = useState(false);
+
+  // Stats
+  const [showStatsModal, setShowStatsModal] = useState(false);
+  const [statsWeeks, setStatsWeeks] = useState(4);
+  const [stats, setStats] = useState(null);
+
+  // Bulk photo import
+  const [showPhotoImportModal, setShowPhotoImportModal] = useState(false);
+  const [importPhotos, setImportPhotos] = useState([]);
+  const [importGap, setImportGap] = useState(DEFAULT_CLUSTER_GAP_MINUTES);
+  const [importProgress, setImportProgress] = useState(null);
+  const importClusters = useMemo(
+    () => clusterPhotos(importPhotos, importGap),
+    [importPhotos, importGap]
+  );
+
+  // Storage
+  const [showStorageModal, setShowStorageModal] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [storageBusy, setStorageBusy] = useState(null);
+
+  // Printable food diary
+  const [report, setReport] = useState(null);
+  const [reportMeals, setReportMeals] = useState(null);
+
+  // Day summary card
+  const [dayCard, setDayCard] = useState(null);
+  const [dayCardBusy, setDayCardBusy] = useState(false);
+
+  // Backup
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [restoreOverwrite, setRestoreOverwrite] = useState(false);
+
+  // Range export
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportStart, setExportStart] = useState("");
+  const [exportEnd, setExportEnd] = useState("");
+  const [exportFormat, setExportFormat] = useState("csv");
 
   // Object URLs tracking
   const toastTimer = useRef(null);
 
-  function showToastMsg(msg) {
-    setToast(msg);
+  function showToastMsg(msg, action = null) {
+    setToast({ msg, action });
     if (toastTimer.current) clearTimeout(toastTimer.current);
-    toastTimer.current = setTimeout(() => setToast(null), 2500);
+    toastTimer.current = setTimeout(() => setToast(null), action ? 5000 : 2500);
   }
 
   const loadMeals = useCallback(async () => {
@@ -73,56 +323,314 @@ export default function App() {
   const loadWeekDots = useCallback(async () => {
     const startStr = formatDate(currentWeekStart);
     const endStr = formatDate(getWeekEnd(currentWeekStart));
-    const dots = await getDatesWithMeals(startStr, endStr);
-    setDatesWithMeals(dots);
-  }, [currentWeekStart]);
+    try {
+      setDayStatuses(await getGoalStatuses(startStr, endStr, goals));
+      setStreaks(await getStreaks(goals));
+    } catch (err) {
+      console.error("Goals error:", err);
+    }
+  }, [currentWeekStart, goals]);
 
   const closeAddModal = useCallback(() => {
     setShowAddModal(false);
-    pendingImages.forEach((item) => {
-      if (item.file instanceof File) URL.revokeObjectURL(item.url);
-    });
+    pendingImages.forEach((item) => URL.revokeObjectURL(item.url));
     setPendingImages([]);
+    setPhotoTakenAt(null);
     setEditingMeal(null);
   }, [pendingImages]);
 
+  // Drops everything decrypted from the database, including unsaved edits,
+  // so nothing readable stays in memory behind the lock screen.
+  const lockApp = useCallback(() => {
+    lock();
+    setLocked(true);
+    setMeals([]);
+    setCalendarMeals([]);
+    setViewMeal(null);
+    setViewPhotos(null);
+    setShowViewModal(false);
+    setShowLightbox(false);
+    setShowAddModal(false);
+    setEditingMeal(null);
+    setMealNotes("");
+    setMealNutrition(emptyNutrition());
+    setMealItems([]);
+    setMealTags([]);
+    setPendingImages((prev) => {
+      prev.forEach((item) => URL.revokeObjectURL(item.url));
+      return [];
+    });
+    setPhotoTakenAt(null);
+    setTemplates([]);
+    setDayCard(null);
+    setReport(null);
+    setReportMeals(null);
+    setShowHistoryModal(false);
+    setHistoryData([]);
+    setHistoryMonths([]);
+    setHistoryResults([]);
+    setShowTrashModal(false);
+    setTrashedMeals([]);
+    setShowTagModal(false);
+    setTagDayData([]);
+    setShowLockModal(false);
+  }, []);
+
   // Init DB
   useEffect(() => {
-    openDB().then(() => {
-      setDbReady(true);
-      initNotifications();
-    });
+    openDB({ onUpgradeProgress: setDbUpgrade })
+      .then(resolveActiveProfile)
+      .then(({ profiles: list, activeId }) => {
+        setProfiles(list);
+        setActiveProfile(activeId);
+        setReminderSettings(getReminderSettings(activeId));
+        setDbUpgrade(null);
+        setDbReady(true);
+        initNotifications();
+        countFoods().then(setFoodCount);
+        purgeExpiredTrash().catch((err) =>
+          console.error("Trash purge error:", err)
+        );
+      })
+      .catch((err) => {
+        console.error("DB error:", err);
+        setDbUpgrade(null);
+        setDbError(err.message);
+      });
+  }, []);
+
+  // Reminder notification actions, relayed by the service worker
+  useEffect(() => {
+    if (launchAddType || launchShared) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+    if (!("serviceWorker" in navigator)) return;
+    const handler = (e) => {
+      if (e.data?.type === "log-meal") {
+        const profileId = e.data.profileId;
+        if (profileId && profileId !== getActiveProfileId()) {
+          getProfiles().then((list) => {
+            if (!list.some((p) => p.id === profileId)) return;
+            setActiveProfileId(profileId);
+            setActiveProfile(profileId);
+            setReminderSettings(getReminderSettings(profileId));
+          });
+        }
+        const today = new Date();
+        setSelectedDate(formatDate(today));
+        setCurrentWeekStart(getWeekStart(today));
+        setEditingMeal(null);
+        setMealType(e.data.mealType);
+        setMealTime(toTimeInputValue(Date.now()));
+        setShowViewModal(false);
+        setShowAddModal(true);
+      } else if (e.data?.type === "meal-skipped") {
+        showToastMsg(`Marked ${e.data.mealType} as skipped`);
+        setSkipsVersion((n) => n + 1);
+      }
+    };
+    navigator.serviceWorker.addEventListener("message", handler);
+    return () =>
+      navigator.serviceWorker.removeEventListener("message", handler);
+  }, []);
+
+  // Pre-fill the Add modal with photos and text shared from other apps
+  useEffect(() => {
+    if (!launchShared) return;
+    let cancelled = false;
+    launchShared
+      .then((shared) => {
+        if (cancelled || !shared) return;
+        const now = Date.now();
+        const today = new Date(now);
+        setSelectedDate(formatDate(today));
+        setCurrentWeekStart(getWeekStart(today));
+        setEditingMeal(null);
+        setMealType(guessMealType(now));
+        setMealNotes(shared.text);
+        setMealTime(toTimeInputValue(now));
+        setPendingImages(
+          shared.files.map((file) => ({
+            file,
+            url: URL.createObjectURL(file),
+          }))
+        );
+        setShowAddModal(true);
+        if (shared.total > shared.files.length) {
+          showToastMsg(
+            `A meal holds up to ${MAX_PHOTOS_PER_MEAL} photos, so ${
+              shared.total - shared.files.length
+            } were left out`
+          );
+        }
+        return readPhotoTimes(shared.files).then((photos) => {
+          const taken = photos.find((p) => p.fromExif)?.takenAt;
+          if (taken && Math.abs(taken - now) > 15 * 60 * 1000) {
+            setPhotoTakenAt(taken);
+          }
+        });
+      })
+      .catch((err) => console.error("Share target error:", err));
+    return () => { cancelled = true; };
   }, []);
 
   // Load meals when date or db changes
   useEffect(() => {
-    if (!dbReady) return;
+    if (!dbReady || locked) return;
     let cancelled = false;
     getMealsByDate(selectedDate).then((m) => {
       if (!cancelled) setMeals(m);
     });
     const startStr = formatDate(currentWeekStart);
     const endStr = formatDate(getWeekEnd(currentWeekStart));
-    getDatesWithMeals(startStr, endStr).then((dots) => {
-      if (!cancelled) setDatesWithMeals(dots);
+    getGoalStatuses(startStr, endStr, goals)
+      .then((statuses) => {
+        if (!cancelled) setDayStatuses(statuses);
+      })
+      .catch((err) => console.error("Goals error:", err));
+    return () => { cancelled = true; };
+  }, [selectedDate, dbReady, locked, currentWeekStart, goals, activeProfile]);
+
+  useEffect(() => {
+    if (!dbReady || locked) return;
+    let cancelled = false;
+    getSkippedMealTypes(selectedDate)
+      .then((types) => {
+        if (!cancelled) setSkippedTypes(types);
+      })
+      .catch((err) => console.error("Skipped meals error:", err));
+    return () => { cancelled = true; };
+  }, [selectedDate, dbReady, locked, activeProfile, skipsVersion]);
+
+  // Streaks only change when meals or goals do, not when browsing dates
+  useEffect(() => {
+    if (!dbReady || locked) return;
+    let cancelled = false;
+    getStreaks(goals)
+      .then((s) => {
+        if (!cancelled) setStreaks(s);
+      })
+      .catch((err) => console.error("Streaks error:", err));
+    return () => { cancelled = true; };
+  }, [dbReady, locked, goals, activeProfile]);
+
+  // Month calendar; reloads with `meals` so edits show up straight away
+  useEffect(() => {
+    if (!dbReady || locked || !showCalendar) return;
+    let cancelled = false;
+    getMonthSummaries(calendarMonth)
+      .then((m) => {
+        if (!cancelled) setCalendarMeals(m);
+      })
+      .catch((err) => console.error("Calendar error:", err));
+    return () => { cancelled = true; };
+  }, [dbReady, locked, showCalendar, calendarMonth, meals, activeProfile]);
+
+  // Printable food diary
+  useEffect(() => {
+    if (!report || locked) return;
+    let cancelled = false;
+    const dates = getReportDates(report);
+    getMealsInRange(
+      formatDate(dates[0]),
+      formatDate(dates[dates.length - 1])
+    ).then((m) => {
+      if (!cancelled) setReportMeals(m);
     });
     return () => { cancelled = true; };
-  }, [selectedDate, dbReady, currentWeekStart]);
+  }, [report, locked]);
+
+  // Photos saved before thumbnails existed get them in the background
+  useEffect(() => {
+    if (!dbReady || locked) return;
+    generatePendingThumbnails()
+      .then((generated) => {
+        if (generated) loadMeals();
+      })
+      .catch((err) => console.error("Thumbnail error:", err));
+  }, [dbReady, locked, loadMeals]);
 
+  // Auto-lock after inactivity, including time spent in the background
+  useEffect(() => {
+    if (!lockEnabled || locked || !autoLockMinutes) return;
+    const limit = autoLockMinutes * 60 * 1000;
+    let timer = null;
+    let hiddenAt = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockApp, limit);
+    };
+    const onVisibility = () => {
+      if (document.hidden) hiddenAt = Date.now();
+      else if (hiddenAt && Date.now() - hiddenAt >= limit) lockApp();
+      else reset();
+    };
+    const events = ["pointerdown", "keydown", "scroll"];
+    events.forEach((ev) =>
+      window.addEventListener(ev, reset, { passive: true })
+    );
+    document.addEventListener("visibilitychange", onVisibility);
+    reset();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((ev) => window.removeEventListener(ev, reset));
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [lockEnabled, locked, autoLockMinutes, lockApp]);
 
   // Keyboard escape
   useEffect(() => {
     const handler = (e) => {
       if (e.key === "Escape") {
         if (showLightbox) setShowLightbox(false);
+        else if (report) setReport(null);
         else if (showViewModal) setShowViewModal(false);
         else if (showAddModal) closeAddModal();
+        else if (dayCard) setDayCard(null);
+        else if (showExportModal) setShowExportModal(false);
+        else if (showReminderModal) setShowReminderModal(false);
+        else if (showProfileModal) setShowProfileModal(false);
+        else if (showLockModal) setShowLockModal(false);
+        else if (showTagModal) setShowTagModal(false);
+        else if (showStatsModal) setShowStatsModal(false);
+        else if (showGoalsModal) setShowGoalsModal(false);
+        else if (showTrashModal) setShowTrashModal(false);
+        else if (showStorageModal) setShowStorageModal(false);
+        else if (showPhotoImportModal && !importProgress) {
+          setShowPhotoImportModal(false);
+        }
         else if (showHistoryModal) setShowHistoryModal(false);
       }
     };
     document.addEventListener("keydown", handler);
     return () => document.removeEventListener("keydown", handler);
-  }, [showLightbox, showViewModal, showAddModal, showHistoryModal, closeAddModal]);
+  }, [
+    showLightbox,
+    report,
+    showViewModal,
+    showAddModal,
+    dayCard,
+    showExportModal,
+    showReminderModal,
+    showProfileModal,
+    showLockModal,
+    showTagModal,
+    showStatsModal,
+    showGoalsModal,
+    showTrashModal,
+    showStorageModal,
+    showPhotoImportModal,
+    importProgress,
+    showHistoryModal,
+    closeAddModal,
+  ]);
+
+  const dayTotals = meals.some(hasNutrition) ? sumNutrition(meals) : null;
+  // A skip stops showing once that meal gets logged after all
+  const skippedMeals = skippedTypes.filter(
+    (type) => !meals.some((m) => m.type === type)
+  );
+  const currentProfile = profiles.find((p) => p.id === activeProfile);
 
   // Week navigation
   const weekDates = getWeekDates(currentWeekStart);
@@ -149,38 +657,153 @@ export default function App() {
     setSelectedDate(formatDate(d));
   }
 
+  // Month calendar
+  function toggleCalendar() {
+    if (!showCalendar) setCalendarMonth(selectedDate.slice(0, 7));
+    setShowCalendar(!showCalendar);
+  }
+
+  function shiftCalendarMonth(delta) {
+    const [y, m] = calendarMonth.split("-").map(Number);
+    setCalendarMonth(formatDate(new Date(y, m - 1 + delta, 1)).slice(0, 7));
+  }
+
   // Add/Edit modal
-  function openAdd() {
+  function openAdd(type = "lunch") {
     setEditingMeal(null);
-    setMealType("lunch");
+    setMealType(type);
     setMealNotes("");
+    setMealTime(toTimeInputValue(Date.now()));
+    setMealNutrition(emptyNutrition());
+    setMealItems([]);
+    setMealTags([]);
+    loadKnownTags();
+    loadTemplates();
+    resetFoodSearch();
     clearPendingImages();
+    setPhotoTakenAt(null);
     setShowAddModal(true);
   }
 
-  function openEdit(meal) {
+  async function openEdit(meal) {
+    // Without the full-size photos, saving would replace them with thumbnails
+    let photos;
+    try {
+      photos =
+        viewPhotos?.id === meal.id
+          ? viewPhotos.images
+          : await getMealPhotos(meal.id);
+    } catch (err) {
+      console.error("Load photos error:", err);
+      showToastMsg("Failed to load the meal's photos");
+      return;
+    }
     setEditingMeal(meal);
     setMealType(meal.type);
     setMealNotes(meal.notes || "");
-    const imgs = (meal.images || []).map((blob) => ({
-      file: blob,
-      url: blobToURL(blob),
-    }));
-    setPendingImages(imgs);
+    setMealTime(toTimeInputValue(meal.eatenAt));
+    setMealNutrition(
+      Object.fromEntries(
+        NUTRIENTS.map(({ key }) => [key, meal[key] != null ? meal[key] : ""])
+      )
+    );
+    setMealItems(meal.items || []);
+    setMealTags(meal.tags || []);
+    loadKnownTags();
+    resetFoodSearch();
+    setPendingImages(pendingFromPhotos(meal.images, photos));
+    setPhotoTakenAt(null);
     setShowAddModal(true);
     setShowViewModal(false);
   }
 
+  function loadKnownTags() {
+    getTagCounts()
+      .then((counts) => setKnownTags(counts.map((c) => c.tag)))
+      .catch((err) => console.error("Tags error:", err));
+  }
+
+  // Food line items
+  function resetFoodSearch() {
+    setFoodQuery("");
+    setFoodResults([]);
+    countFoods().then(setFoodCount);
+  }
+
+  async function handleFoodSearch(value) {
+    setFoodQuery(value);
+    const seq = ++foodSearchSeq.current;
+    const results = value.trim() ? await searchFoods(value) : [];
+    if (seq === foodSearchSeq.current) setFoodResults(results);
+  }
+
+  function applyItems(items) {
+    setMealItems(items);
+    if (items.length === 0) return;
+    const totals = sumItems(items);
+    setMealNutrition(
+      Object.fromEntries(
+        NUTRIENTS.map(({ key }) => [key, totals[key] != null ? totals[key] : ""])
+      )
+    );
+  }
+
+  function addFoodItem(food) {
+    applyItems([
+      ...mealItems,
+      {
+        foodId: food.id,
+        name: food.name,
+        servingSize: food.servingSize,
+        servings: 1,
+        ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, food[key]])),
+      },
+    ]);
+    foodSearchSeq.current++;
+    setFoodQuery("");
+    setFoodResults([]);
+  }
+
+  function updateItemServings(index, value) {
+    const servings = Math.max(0, Number(value) || 0);
+    applyItems(
+      mealItems.map((item, i) => (i === index ? { ...item, servings } : item))
+    );
+  }
+
+  function removeItem(index) {
+    applyItems(mealItems.filter((_, i) => i !== index));
+  }
+
+  async function handleImportFoods(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    showToastMsg("Importing foods…");
+    let percent = 0;
+    try {
+      const { imported } = await importFoodCatalog(file, ({ done, total }) => {
+        const next = total ? Math.floor((done / total) * 100) : 0;
+        if (next === percent) return;
+        percent = next;
+        showToastMsg(`Importing foods… ${percent}%`);
+      });
+      setFoodCount(await countFoods());
+      showToastMsg(`Imported ${imported} food(s)`);
+    } catch (err) {
+      console.error("Food import error:", err);
+      showToastMsg(err.message || "Failed to import foods");
+    }
+  }
+
   function clearPendingImages() {
-    pendingImages.forEach((item) => {
-      if (item.file instanceof File) URL.revokeObjectURL(item.url);
-    });
+    pendingImages.forEach((item) => URL.revokeObjectURL(item.url));
     setPendingImages([]);
   }
 
   function handleImageSelect(e) {
     const files = Array.from(e.target.files);
-    const remaining = 5 - pendingImages.length;
+    const remaining = MAX_PHOTOS_PER_MEAL - pendingImages.length;
     const toAdd = files.slice(0, remaining);
     const newItems = toAdd.map((file) => ({
       file,
@@ -190,21 +813,38 @@ export default function App() {
     if (files.length > remaining)
       showToastMsg(`Only ${remaining} more photo(s) allowed`);
     e.target.value = "";
+    // EXIF is gone after compression, so offer the capture time now
+    const current = combineDateTime(selectedDate, mealTime);
+    readPhotoTimes(toAdd)
+      .then((photos) => {
+        const taken = photos.find((p) => p.fromExif)?.takenAt;
+        if (taken && Math.abs(taken - current) > 15 * 60 * 1000) {
+          setPhotoTakenAt(taken);
+        }
+      })
+      .catch((err) => console.error("Photo time error:", err));
+  }
+
+  function applyPhotoTime() {
+    navigateToDate(formatDate(photoTakenAt));
+    setMealTime(toTimeInputValue(photoTakenAt));
+    setPhotoTakenAt(null);
   }
 
   function removePendingImage(index) {
     setPendingImages((prev) => {
-      const item = prev[index];
-      if (item.file instanceof File) URL.revokeObjectURL(item.url);
+      URL.revokeObjectURL(prev[index].url);
       return prev.filter((_, i) => i !== index);
     });
   }
 
   async function handleSave(e) {
     e.preventDefault();
-    const images = pendingImages.map((item) => item.file);
-    if (!mealNotes.trim() && images.length === 0) {
-      showToastMsg("Add some notes or a photo");
+    const images = pendingImages.map((item) =>
+      item.thumb ? { full: item.file, thumb: item.thumb } : item.file
+    );
+    if (!mealNotes.trim() && images.length === 0 && mealItems.length === 0) {
+      showToastMsg("Add some notes, foods or a photo");
       return;
     }
     try {
@@ -214,7 +854,11 @@ export default function App() {
           type: mealType,
           notes: mealNotes.trim(),
           images,
+          items: mealItems,
+          tags: mealTags,
+          ...mealNutrition,
           date: selectedDate,
+          eatenAt: combineDateTime(selectedDate, mealTime),
         });
         showToastMsg("Meal updated");
       } else {
@@ -222,7 +866,11 @@ export default function App() {
           type: mealType,
           notes: mealNotes.trim(),
           images,
+          items: mealItems,
+          tags: mealTags,
+          ...mealNutrition,
           date: selectedDate,
+          eatenAt: combineDateTime(selectedDate, mealTime),
         });
         showToastMsg("Meal saved");
       }
@@ -238,153 +886,897 @@ export default function App() {
   // View modal
   function openView(meal) {
     setViewMeal(meal);
+    setViewPhotos(null);
+    if (meal.images?.length) {
+      getMealPhotos(meal.id)
+        .then((images) => setViewPhotos({ id: meal.id, images }))
+        .catch((err) => {
+          console.error("Load photos error:", err);
+          showToastMsg("Failed to load full-size photos");
+        });
+    }
+    loadTemplates();
     setShowViewModal(true);
   }
 
-  async function handleDelete() {
-    if (!viewMeal || !confirm("Delete this meal?")) return;
-    await deleteMeal(viewMeal.id);
-    setShowViewModal(false);
-    setViewMeal(null);
-    loadMeals();
-    loadWeekDots();
-    showToastMsg("Meal deleted");
+  // Favourites
+  function loadTemplates() {
+    getTemplates()
+      .then(setTemplates)
+      .catch((err) => console.error("Favourites error:", err));
   }
 
-  // Lightbox
-  function openLightboxFn(url) {
-    setLightboxUrl(url);
-    setShowLightbox(true);
+  // Thumbnails stand in until the full-size photos have loaded
+  const viewPhotosLoaded = !!viewMeal && viewPhotos?.id === viewMeal.id;
+  const viewImages = viewMeal
+    ? viewPhotosLoaded
+      ? viewPhotos.images
+      : viewMeal.images || []
+    : [];
+
+  const viewTemplate = viewMeal
+    ? templates.find((t) => t.sourceMealId === viewMeal.id)
+    : null;
+
+  async function toggleFavourite() {
+    try {
+      if (viewTemplate) {
+        await deleteTemplate(viewTemplate.id);
+        showToastMsg("Removed from favourites");
+      } else {
+        const includePhotos =
+          viewMeal.images?.length > 0 &&
+          confirm("Keep this meal's photos with the favourite?");
+        await addTemplate(viewMeal, { includePhotos });
+        showToastMsg("Added to favourites");
+      }
+      loadTemplates();
+    } catch (err) {
+      console.error("Favourite error:", err);
+      showToastMsg("Failed to update favourites");
+    }
   }
 
-  // History
-  async function openHistory() {
-    const all = await getAllMeals();
-    if (all.length === 0) {
-      setHistoryData([]);
-      setShowHistoryModal(true);
+  async function removeTemplate(id) {
+    try {
+      await deleteTemplate(id);
+      loadTemplates();
+    } catch (err) {
+      console.error("Remove favourite error:", err);
+      showToastMsg("Failed to remove favourite");
+    }
+  }
+
+  // Loads the photos first so a failure leaves the form untouched
+  async function applyTemplate(template) {
+    let photos;
+    try {
+      photos = template.images?.length ? await getMealPhotos(template.id) : [];
+    } catch (err) {
+      console.error("Apply favourite error:", err);
+      showToastMsg("Failed to load favourite");
       return;
     }
-    const grouped = {};
-    all.forEach((meal) => {
-      if (!grouped[meal.date]) grouped[meal.date] = [];
-      grouped[meal.date].push(meal);
-    });
-    const sorted = Object.keys(grouped).sort((a, b) => b.localeCompare(a));
-    const data = [];
-    let currentMonth = "";
-    sorted.forEach((dateStr) => {
-      const dateObj = new Date(dateStr + "T12:00:00");
-      const monthKey = dateObj.toLocaleDateString("en-US", {
-        month: "long",
-        year: "numeric",
-      });
-      if (monthKey !== currentMonth) {
-        currentMonth = monthKey;
-        data.push({ type: "month", label: monthKey });
+    setMealType(template.type);
+    setMealNotes(template.notes);
+    setMealItems(template.items || []);
+    setMealTags(template.tags || []);
+    setMealNutrition(
+      Object.fromEntries(
+        NUTRIENTS.map(({ key }) => [
+          key,
+          template[key] != null ? template[key] : "",
+        ])
+      )
+    );
+    clearPendingImages();
+    setPendingImages(pendingFromPhotos(template.images, photos));
+  }
+
+  async function handleLogAgain() {
+    const today = formatDate(new Date());
+    try {
+      await logMealAgain(viewMeal.id, today);
+      setShowViewModal(false);
+      setViewMeal(null);
+      if (selectedDate === today) {
+        loadMeals();
+        loadWeekDots();
+      } else {
+        navigateToDate(today);
       }
-      const meals = grouped[dateStr].sort((a, b) => a.timestamp - b.timestamp);
-      const dayLabel = isToday(dateObj)
-        ? "Today"
-        : dateObj.toLocaleDateString("en-US", {
-            weekday: "short",
-            day: "numeric",
-            month: "short",
-          });
-      data.push({
-        type: "day",
-        dateStr,
-        dayLabel,
-        isToday: isToday(dateObj),
-        meals,
+      showToastMsg("Logged again today");
+    } catch (err) {
+      console.error("Log again error:", err);
+      showToastMsg("Failed to log meal");
+    }
+  }
+
+  async function handleDelete() {
+    if (!viewMeal) return;
+    const { id } = viewMeal;
+    try {
+      await trashMeal(id);
+      setShowViewModal(false);
+      setViewMeal(null);
+      loadMeals();
+      loadWeekDots();
+      showToastMsg("Moved to trash", {
+        label: "Undo",
+        onClick: () => handleRestore(id),
       });
-    });
-    setHistoryData(data);
-    setShowHistoryModal(true);
+    } catch (err) {
+      console.error("Delete error:", err);
+      showToastMsg("Failed to delete meal");
+    }
   }
 
-  function navigateToDate(dateStr) {
-    setSelectedDate(dateStr);
-    setCurrentWeekStart(getWeekStart(new Date(dateStr + "T12:00:00")));
-    setShowHistoryModal(false);
+  // Trash
+  async function openTrash() {
+    try {
+      setTrashedMeals(await getTrashedMeals());
+      setShowHistoryModal(false);
+      setShowTrashModal(true);
+    } catch (err) {
+      console.error("Trash error:", err);
+      showToastMsg("Failed to load trash");
+    }
   }
 
-  // Register SW
-  useEffect(() => {
-    if ("serviceWorker" in navigator) {
-      navigator.serviceWorker
-        .register(import.meta.env.BASE_URL + "sw.js")
-        .catch(() => {});
+  async function handleRestore(id) {
+    try {
+      await restoreMeal(id);
+      loadMeals();
+      loadWeekDots();
+      if (showTrashModal) setTrashedMeals(await getTrashedMeals());
+      showToastMsg("Meal restored");
+    } catch (err) {
+      console.error("Restore error:", err);
+      showToastMsg("Failed to restore meal");
     }
-  }, []);
+  }
 
-  return (
-    <div className="pb-24">
-      {/* Header */}
-      <header className="text-center pt-5 px-4 pb-2">
-        <div className="flex items-center justify-center relative">
-          <h1 className="text-2xl font-bold tracking-tight">🍽️ Meal Tracker</h1>
-          <button
-            onClick={openHistory}
-            className="absolute right-0 w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
-          >
-            📅
-          </button>
-        </div>
-        <p className="text-text-muted text-sm mt-1">{weekLabel}</p>
-      </header>
+  async function handleDeleteForever(id) {
+    if (!confirm("Delete this meal and its photos forever?")) return;
+    try {
+      await deleteMeal(id);
+      setTrashedMeals(await getTrashedMeals());
+    } catch (err) {
+      console.error("Delete error:", err);
+      showToastMsg("Failed to delete meal");
+    }
+  }
 
-      {/* Week Nav */}
-      <nav className="flex items-center gap-1 px-2 py-2 sticky top-0 z-10 bg-bg">
-        <button
-          onClick={prevWeek}
-          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors shrink-0"
-        >
-          ◀
-        </button>
-        <div className="flex gap-1 overflow-x-auto flex-1 no-scrollbar">
-          {weekDates.map((date) => {
-            const dateStr = formatDate(date);
-            const active = dateStr === selectedDate;
-            const today = isToday(date);
-            const hasMeals = datesWithMeals.has(dateStr);
-            return (
-              <button
-                key={dateStr}
-                onClick={() => setSelectedDate(dateStr)}
-                className={`flex flex-col items-center min-w-[48px] py-2 px-1 rounded-xl transition-all shrink-0
-                  ${
-                    active
-                      ? "bg-accent text-white shadow-lg shadow-accent/30"
-                      : "hover:bg-white/5"
-                  }
-                  ${today && !active ? "ring-1 ring-accent/50" : ""}`}
-              >
-                <span className="text-xs font-medium opacity-70">
-                  {getDayName(date)}
-                </span>
-                <span className="text-base font-semibold">
-                  {date.getDate()}
-                </span>
-                <span
-                  className={`w-1.5 h-1.5 rounded-full mt-1 ${
-                    hasMeals ? "bg-accent-light" : "bg-transparent"
-                  }`}
-                />
-              </button>
-            );
-          })}
-        </div>
-        <button
-          onClick={nextWeek}
-          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors shrink-0"
-        >
-          ▶
-        </button>
-      </nav>
+  async function handleEmptyTrash() {
+    if (!confirm("Delete everything in the trash forever?")) return;
+    try {
+      await purgeTrash({ profileId: getActiveProfileId() });
+      setTrashedMeals([]);
+      showToastMsg("Trash emptied");
+    } catch (err) {
+      console.error("Empty trash error:", err);
+      showToastMsg("Failed to empty trash");
+    }
+  }
 
-      {/* Meals List */}
-      <main className="px-4 mt-2">
+  function updateTrashDays(days) {
+    setTrashDays(days);
+    saveTrashRetentionDays(days);
+    purgeExpiredTrash()
+      .then(async (purged) => {
+        if (purged) setTrashedMeals(await getTrashedMeals());
+      })
+      .catch((err) => {
+        console.error("Trash purge error:", err);
+        showToastMsg("Failed to empty expired trash");
+      });
+  }
+
+  // Bulk photo import
+  async function handleBulkPhotoSelect(e) {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    if (files.length === 0) return;
+    try {
+      setImportPhotos(await readPhotoTimes(files));
+      setShowHistoryModal(false);
+      setShowPhotoImportModal(true);
+    } catch (err) {
+      console.error("Photo import error:", err);
+      showToastMsg("Failed to read photos");
+    }
+  }
+
+  async function handleImportPhotos() {
+    setImportProgress({ done: 0, total: importClusters.length });
+    try {
+      const count = await importPhotoClusters(importClusters, (done, total) =>
+        setImportProgress({ done, total })
+      );
+      setShowPhotoImportModal(false);
+      setImportPhotos([]);
+      navigateToDate(formatDate(importClusters[importClusters.length - 1].takenAt));
+      loadWeekDots();
+      showToastMsg(`Created ${count} meal(s)`);
+    } catch (err) {
+      console.error("Photo import error:", err);
+      showToastMsg("Failed to import photos");
+      loadMeals();
+    } finally {
+      setImportProgress(null);
+    }
+  }
+
+  // Storage
+  async function loadStorageInfo() {
+    const [estimate, persisted, months] = await Promise.all([
+      getStorageEstimate(),
+      isStoragePersisted(),
+      getPhotoUsageByMonth(),
+    ]);
+    setStorageInfo({ estimate, persisted, months });
+  }
+
+  async function openStorage() {
+    try {
+      await loadStorageInfo();
+      setShowHistoryModal(false);
+      setShowStorageModal(true);
+    } catch (err) {
+      console.error("Storage error:", err);
+      showToastMsg("Failed to load storage usage");
+    }
+  }
+
+  async function handlePersistStorage() {
+    try {
+      const granted = await requestPersistentStorage();
+      showToastMsg(
+        granted ? "Storage is now persistent" : "The browser declined the request"
+      );
+      await loadStorageInfo();
+    } catch (err) {
+      console.error("Persist storage error:", err);
+      showToastMsg("Failed to update storage settings");
+    }
+  }
+
+  async function handleRecompress({ months, maxWidth, quality }) {
+    setStorageBusy("Re-compressing…");
+    try {
+      const saved = await recompressPhotosBefore(
+        monthsAgo(months),
+        { maxWidth, quality },
+        (done, total) => setStorageBusy(`Re-compressing ${done} / ${total}…`)
+      );
+      showToastMsg(`Freed ${formatBytes(saved)}`);
+      await loadStorageInfo();
+    } catch (err) {
+      console.error("Re-compress error:", err);
+      showToastMsg("Failed to re-compress photos");
+    } finally {
+      setStorageBusy(null);
+    }
+  }
+
+  async function handleStripPhotos(months) {
+    if (
+      !confirm(
+        `Delete photos from meals older than ${months} months? Notes and foods are kept.`
+      )
+    ) {
+      return;
+    }
+    setStorageBusy("Removing photos…");
+    try {
+      const stripped = await stripPhotosBefore(monthsAgo(months));
+      showToastMsg(`Removed photos from ${stripped} meal(s)`);
+      loadMeals();
+      await loadStorageInfo();
+    } catch (err) {
+      console.error("Strip photos error:", err);
+      showToastMsg("Failed to remove photos");
+    } finally {
+      setStorageBusy(null);
+    }
+  }
+
+  // Lightbox
+  function openLightboxFn(index) {
+    setLightboxIndex(index);
+    setShowLightbox(true);
+  }
+
+  function photoFilename(index) {
+    return `meal-${viewMeal.date}-${index + 1}.jpg`;
+  }
+
+  // Only the full-size photo is worth saving, not its thumbnail
+  function downloadPhoto(index) {
+    if (!viewPhotosLoaded) return;
+    downloadBlob(viewPhotos.images[index], photoFilename(index));
+  }
+
+  async function shareImage(blob, filename, title) {
+    const file = new File([blob], filename, { type: blob.type || "image/jpeg" });
+    if (!navigator.canShare?.({ files: [file] })) {
+      showToastMsg("Sharing images isn't supported here");
+      return;
+    }
+    try {
+      await navigator.share({ files: [file], title });
+    } catch (err) {
+      if (err.name !== "AbortError") showToastMsg("Failed to share image");
+    }
+  }
+
+  function sharePhoto(index) {
+    if (!viewPhotosLoaded) return;
+    shareImage(viewPhotos.images[index], photoFilename(index));
+  }
+
+  async function rearrangePhotos(order, message) {
+    try {
+      const updated = await arrangeMealPhotos(viewMeal.id, order);
+      setViewMeal(updated);
+      if (viewPhotos?.id === updated.id) {
+        setViewPhotos({
+          id: updated.id,
+          images: order.map((i) => viewPhotos.images[i]),
+        });
+      } else {
+        getMealPhotos(updated.id).then((images) =>
+          setViewPhotos({ id: updated.id, images })
+        );
+      }
+      loadMeals();
+      showToastMsg(message);
+      return true;
+    } catch (err) {
+      console.error("Photo update error:", err);
+      showToastMsg("Failed to update photos");
+      return false;
+    }
+  }
+
+  async function makeCoverPhoto(index) {
+    const order = viewImages.map((_, i) => i).filter((i) => i !== index);
+    if (await rearrangePhotos([index, ...order], "Cover photo set")) {
+      setLightboxIndex(0);
+    }
+  }
+
+  async function deletePhoto(index) {
+    if (!confirm("Delete this photo from the meal?")) return;
+    const order = viewImages.map((_, i) => i).filter((i) => i !== index);
+    if (!(await rearrangePhotos(order, "Photo deleted"))) return;
+    if (order.length === 0) setShowLightbox(false);
+    else setLightboxIndex(Math.min(index, order.length - 1));
+  }
+
+  // Day summary card
+  async function openDayCard() {
+    setDayCardBusy(true);
+    try {
+      const photos = await Promise.all(
+        meals.map((m) => (m.images?.length ? getMealPhotos(m.id) : []))
+      );
+      const blob = await renderDayCard(selectedDate, meals, photos);
+      setDayCard({ date: selectedDate, blob });
+    } catch (err) {
+      console.error("Day card error:", err);
+      showToastMsg("Failed to create day card");
+    } finally {
+      setDayCardBusy(false);
+    }
+  }
+
+  // History
+  // Opens straight away and fills in a month at a time as the list scrolls
+  function openHistory() {
+    clearHistorySearch();
+    setShowHistoryModal(true);
+    performance.mark("history-open");
+    loadHistoryFrom().then(() =>
+      performance.measure("history-first-month", "history-open")
+    );
+    getHistoryMonths()
+      .then(setHistoryMonths)
+      .catch((err) => console.error("History months error:", err));
+  }
+
+  // Loads the newest month before `beforeMonth` (or the latest month) and
+  // starts a fresh list when `reset` is set. A failed load ends the list
+  // so the sentinel doesn't keep retrying it.
+  async function loadHistoryFrom(beforeMonth, { reset = true } = {}) {
+    const seq = ++historyLoadSeq.current;
+    if (reset) setHistoryData([]);
+    setHistoryLoading(true);
+    try {
+      const page = await getHistoryMonth(beforeMonth);
+      if (seq !== historyLoadSeq.current) return;
+      if (page) {
+        const items = groupMealsByDay(page.meals);
+        setHistoryData((prev) => (reset ? items : [...prev, ...items]));
+      }
+      setHistoryCursor(page ? page.month : null);
+    } catch (err) {
+      console.error("History error:", err);
+      if (seq !== historyLoadSeq.current) return;
+      setHistoryCursor(null);
+      showToastMsg("Failed to load history");
+    } finally {
+      if (seq === historyLoadSeq.current) setHistoryLoading(false);
+    }
+  }
+
+  function loadOlderHistory() {
+    if (historyCursor && !historyLoading) {
+      loadHistoryFrom(historyCursor, { reset: false });
+    }
+  }
+
+  function jumpToHistoryMonth(month) {
+    // Load `month` itself: it is the newest month before the one after it
+    const [y, m] = month.split("-").map(Number);
+    const next = formatDate(new Date(y, m, 1)).slice(0, 7);
+    loadHistoryFrom(next);
+  }
+
+  const historySearchActive =
+    historySearch.query.trim() !== "" ||
+    historySearch.type !== "" ||
+    historySearch.startDate !== "" ||
+    historySearch.endDate !== "" ||
+    historySearch.hasPhotos;
+
+  async function updateHistorySearch(patch) {
+    const next = { ...historySearch, ...patch };
+    setHistorySearch(next);
+    const seq = ++historySearchSeq.current;
+    try {
+      const results = await searchMeals(next);
+      if (seq === historySearchSeq.current) setHistoryResults(results);
+    } catch (err) {
+      console.error("History search error:", err);
+      if (seq === historySearchSeq.current) showToastMsg("Failed to search meals");
+    }
+  }
+
+  function clearHistorySearch() {
+    historySearchSeq.current++;
+    setHistorySearch(emptyHistorySearch());
+    setHistoryResults([]);
+  }
+
+  function navigateToDate(dateStr) {
+    setSelectedDate(dateStr);
+    setCurrentWeekStart(getWeekStart(new Date(dateStr + "T12:00:00")));
+    setShowHistoryModal(false);
+  }
+
+  function openSearchResult(meal) {
+    navigateToDate(meal.date);
+    openView(meal);
+  }
+
+  // Tag browser
+  async function openTagBrowser(tag = null) {
+    try {
+      setTagCounts(await getTagCounts());
+      await loadTag(tag);
+      setShowViewModal(false);
+      setShowHistoryModal(false);
+      setShowTagModal(true);
+    } catch (err) {
+      console.error("Tags error:", err);
+      showToastMsg("Failed to load tags");
+    }
+  }
+
+  async function loadTag(tag) {
+    setSelectedTag(tag);
+    setTagDayData(tag ? groupMealsByDay(await getMealsByTag(tag)) : []);
+  }
+
+  async function selectTag(tag) {
+    try {
+      await loadTag(tag);
+    } catch (err) {
+      console.error("Tag meals error:", err);
+      showToastMsg("Failed to load meals for this tag");
+    }
+  }
+
+  function navigateToTagDay(dateStr) {
+    navigateToDate(dateStr);
+    setShowTagModal(false);
+  }
+
+  // Goals
+  function updateGoals(next) {
+    setGoals(next);
+    saveGoalSettings(next);
+  }
+
+  // Stats
+  async function openStats(weeks = statsWeeks) {
+    setStatsWeeks(weeks);
+    try {
+      setStats(await getMealStats(weeks));
+      setShowStatsModal(true);
+    } catch (err) {
+      console.error("Stats error:", err);
+      showToastMsg("Failed to load stats");
+    }
+  }
+
+  // Profiles
+  function switchProfile(id) {
+    setActiveProfileId(id);
+    setActiveProfile(id);
+    setReminderSettings(getReminderSettings(id));
+    setShowProfileModal(false);
+  }
+
+  async function handleAddProfile(e) {
+    e.preventDefault();
+    if (!newProfileName.trim()) return;
+    try {
+      const profile = await saveProfile({
+        name: newProfileName,
+        emoji: newProfileEmoji,
+      });
+      setProfiles(await getProfiles());
+      setNewProfileName("");
+      setNewProfileEmoji(PROFILE_EMOJIS[0]);
+      switchProfile(profile.id);
+      showToastMsg(`Switched to ${profile.name}`);
+    } catch (err) {
+      console.error("Add profile error:", err);
+      showToastMsg("Failed to add profile");
+    }
+  }
+
+  async function handleRenameProfile(profile) {
+    const name = prompt("Profile name", profile.name);
+    if (!name?.trim()) return;
+    try {
+      await saveProfile({ ...profile, name });
+      setProfiles(await getProfiles());
+    } catch (err) {
+      console.error("Rename profile error:", err);
+      showToastMsg("Failed to rename profile");
+    }
+  }
+
+  async function handleDeleteProfile(profile) {
+    if (
+      !confirm(`Delete ${profile.name} and all of their meals? This can't be undone.`)
+    ) {
+      return;
+    }
+    try {
+      await deleteProfile(profile.id);
+      setProfiles(await getProfiles());
+      switchProfile(getActiveProfileId());
+      initNotifications();
+      showToastMsg(`Deleted ${profile.name}`);
+    } catch (err) {
+      console.error("Delete profile error:", err);
+      showToastMsg(err.message);
+    }
+  }
+
+  // Passcode lock
+  async function handleUnlock(passcode) {
+    await unlock(passcode);
+    if (hasPendingPasscodeChange()) {
+      try {
+        await finishPasscodeChange();
+        showToastMsg("Finished changing the passcode");
+      } catch (err) {
+        console.error("Passcode error:", err);
+        showToastMsg("Failed to finish changing the passcode");
+      }
+      setLockEnabled(isLockEnabled());
+    }
+    setLocked(false);
+  }
+
+  async function handleSetPasscode(passcode) {
+    setLockBusy(true);
+    try {
+      await changePasscode(passcode);
+      showToastMsg(lockEnabled ? "Passcode changed" : "Passcode lock turned on");
+      setLockEnabled(true);
+      setAutoLockMinutes(getAutoLockMinutes());
+      setShowLockModal(false);
+    } catch (err) {
+      console.error("Passcode error:", err);
+      showToastMsg("Failed to update passcode");
+    } finally {
+      setLockBusy(false);
+    }
+  }
+
+  async function handleDisableLock() {
+    if (!confirm("Turn off the passcode and decrypt your meals?")) return;
+    setLockBusy(true);
+    try {
+      await changePasscode(null);
+      setLockEnabled(false);
+      setShowLockModal(false);
+      showToastMsg("Passcode lock turned off");
+    } catch (err) {
+      console.error("Passcode error:", err);
+      showToastMsg("Failed to turn off passcode");
+    } finally {
+      setLockBusy(false);
+    }
+  }
+
+  function updateAutoLock(minutes) {
+    setAutoLockMinutes(minutes);
+    saveAutoLockMinutes(minutes);
+  }
+
+  // Reminders
+  async function updateReminderSettings(next) {
+    setReminderSettings(next);
+    const granted = await requestNotificationPermission();
+    saveReminderSettings(next);
+    if (!granted) showToastMsg("Allow notifications to get reminders");
+  }
+
+  // Backup & restore
+  async function handleExportBackup() {
+    if (
+      lockEnabled &&
+      !confirm(
+        "Backups aren't encrypted: anyone with the file can read your notes and see your photos without the passcode. Export anyway?"
+      )
+    ) {
+      return;
+    }
+    setBackupBusy(true);
+    try {
+      const { blob, filename, count } = await exportBackup();
+      downloadBlob(blob, filename);
+      showToastMsg(`Exported ${count} meal(s)`);
+    } catch (err) {
+      console.error("Backup error:", err);
+      showToastMsg("Failed to export backup");
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  async function handleImportBackup(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setBackupBusy(true);
+    try {
+      const { added, replaced, skipped, favourites } = await importBackup(
+        file,
+        { overwrite: restoreOverwrite }
+      );
+      setShowHistoryModal(false);
+      setProfiles(await getProfiles());
+      loadMeals();
+      loadWeekDots();
+      let msg = `Restored ${added} meal(s)`;
+      if (favourites) msg += ` and ${favourites} favourite(s)`;
+      if (replaced) msg += `, replaced ${replaced}`;
+      if (skipped) msg += `, skipped ${skipped}`;
+      showToastMsg(msg);
+      loadTemplates();
+    } catch (err) {
+      console.error("Restore error:", err);
+      showToastMsg(err.message || "Failed to restore backup");
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  // Range export
+  function openExport() {
+    setExportStart(formatDate(currentWeekStart));
+    setExportEnd(formatDate(getWeekEnd(currentWeekStart)));
+    setShowExportModal(true);
+  }
+
+  function openReport(period) {
+    setReportMeals(null);
+    setReport({ period, date: selectedDate });
+    setShowExportModal(false);
+  }
+
+  function shiftReport(delta) {
+    const d = new Date(report.date + "T12:00:00");
+    if (report.period === "week") d.setDate(d.getDate() + delta * 7);
+    else d.setMonth(d.getMonth() + delta, 1);
+    setReport({ ...report, date: formatDate(d) });
+  }
+
+  async function handleExportRange(e) {
+    e.preventDefault();
+    if (!exportStart || !exportEnd || exportStart > exportEnd) {
+      showToastMsg("Pick a valid date range");
+      return;
+    }
+    try {
+      const { blob, filename, count } = await exportMealsInRange(
+        exportStart,
+        exportEnd,
+        exportFormat
+      );
+      if (count === 0) {
+        showToastMsg("No meals in that range");
+        return;
+      }
+      downloadBlob(blob, filename);
+      setShowExportModal(false);
+      showToastMsg(`Exported ${count} meal(s)`);
+    } catch (err) {
+      console.error("Export error:", err);
+      showToastMsg("Failed to export meals");
+    }
+  }
+
+  // Register SW
+  useEffect(() => {
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker
+        .register(import.meta.env.BASE_URL + "sw.js")
+        .catch(() => {});
+    }
+  }, []);
+
+  return (
+    <div className="pb-24">
+      {/* Header */}
+      <header className="text-center pt-5 px-4 pb-2">
+        <div className="flex items-center justify-center relative">
+          <button
+            onClick={() => setShowReminderModal(true)}
+            className="absolute left-0 w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
+          >
+            🔔
+          </button>
+          <button
+            onClick={() => setShowLockModal(true)}
+            className="absolute left-12 w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
+          >
+            {lockEnabled ? "🔒" : "🔓"}
+          </button>
+          <h1 className="text-2xl font-bold tracking-tight">🍽️ Meal Tracker</h1>
+          <button
+            onClick={() => openStats()}
+            className="absolute right-12 w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
+          >
+            📊
+          </button>
+          <button
+            onClick={openHistory}
+            className="absolute right-0 w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
+          >
+            📅
+          </button>
+        </div>
+        {profiles.length > 0 && (
+          <button
+            onClick={() => setShowProfileModal(true)}
+            className="mt-2 inline-flex items-center gap-1.5 px-3 py-1 rounded-full bg-white/8 text-sm hover:bg-white/15 transition-colors"
+          >
+            {currentProfile ? (
+              <>
+                <span>{currentProfile.emoji}</span>
+                {currentProfile.name}
+              </>
+            ) : (
+              "Choose profile"
+            )}
+            <span className="text-text-muted text-xs">▾</span>
+          </button>
+        )}
+        <button
+          onClick={toggleCalendar}
+          aria-pressed={showCalendar}
+          className="text-text-muted text-sm mt-1 px-2 py-0.5 rounded-full hover:bg-white/5 transition-colors"
+        >
+          {weekLabel} {showCalendar ? "▴" : "🗓️"}
+        </button>
+        {streaks && (
+          <button
+            onClick={() => setShowGoalsModal(true)}
+            className="text-xs text-text-muted mt-1 px-2 py-0.5 rounded-full hover:bg-white/5 transition-colors"
+          >
+            {streaks.current > 0
+              ? `🔥 ${streaks.current}-day streak`
+              : "No active streak"}{" "}
+            · Best {streaks.best}
+          </button>
+        )}
+      </header>
+
+      {/* Week Nav / Month Calendar */}
+      {showCalendar ? (
+        <MonthCalendar
+          month={calendarMonth}
+          meals={calendarMeals}
+          selectedDate={selectedDate}
+          onSelect={navigateToDate}
+          onShiftMonth={shiftCalendarMonth}
+        />
+      ) : (
+      <nav className="flex items-center gap-1 px-2 py-2 sticky top-0 z-10 bg-bg">
+        <button
+          onClick={prevWeek}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors shrink-0"
+        >
+          ◀
+        </button>
+        <div className="flex gap-1 overflow-x-auto flex-1 no-scrollbar">
+          {weekDates.map((date) => {
+            const dateStr = formatDate(date);
+            const active = dateStr === selectedDate;
+            const today = isToday(date);
+            const status =
+              dayStatuses.get(dateStr) ||
+              (dateStr < formatDate(new Date()) ? "missed" : null);
+            return (
+              <button
+                key={dateStr}
+                onClick={() => setSelectedDate(dateStr)}
+                className={`flex flex-col items-center min-w-[48px] py-2 px-1 rounded-xl transition-all shrink-0
+                  ${
+                    active
+                      ? "bg-accent text-white shadow-lg shadow-accent/30"
+                      : "hover:bg-white/5"
+                  }
+                  ${today && !active ? "ring-1 ring-accent/50" : ""}`}
+              >
+                <span className="text-xs font-medium opacity-70">
+                  {getDayName(date)}
+                </span>
+                <span className="text-base font-semibold">
+                  {date.getDate()}
+                </span>
+                <span
+                  title={status ? `Goal ${status}` : undefined}
+                  className={`w-1.5 h-1.5 rounded-full mt-1 ${
+                    GOAL_STATUS_CLASSES[status] || "bg-transparent"
+                  }`}
+                />
+              </button>
+            );
+          })}
+        </div>
+        <button
+          onClick={nextWeek}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors shrink-0"
+        >
+          ▶
+        </button>
+      </nav>
+      )}
+
+      {/* Meals List */}
+      <main className="px-4 mt-2">
+        {skippedMeals.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {skippedMeals.map((type) => (
+              <span
+                key={type}
+                className="text-xs text-text-muted px-2.5 py-1 rounded-full bg-white/5"
+              >
+                {getMealEmoji(type)} {type} skipped
+              </span>
+            ))}
+          </div>
+        )}
         {meals.length === 0 ? (
           <div className="text-center py-16 text-text-muted">
             <div className="text-5xl mb-3 opacity-50">📷</div>
@@ -393,271 +1785,2566 @@ export default function App() {
               Tap + to add your first meal
             </p>
           </div>
-        ) : (
-          <div className="flex flex-col gap-3">
-            {meals.map((meal, i) => (
-              <MealCard
-                key={meal.id}
-                meal={meal}
-                index={i}
-                onClick={() => openView(meal)}
+        ) : (
+          <div className="flex flex-col gap-3">
+            {dayTotals && <NutritionSummary totals={dayTotals} />}
+            <button
+              onClick={openDayCard}
+              disabled={dayCardBusy}
+              className="self-end text-xs text-text-muted px-3 py-1.5 rounded-full bg-white/5 hover:bg-white/10 transition-colors disabled:opacity-50"
+            >
+              {dayCardBusy ? "Creating card…" : "📤 Share day"}
+            </button>
+            {meals.map((meal, i) => (
+              <MealCard
+                key={meal.id}
+                meal={meal}
+                index={i}
+                onClick={() => openView(meal)}
+              />
+            ))}
+          </div>
+        )}
+      </main>
+
+      {/* FAB */}
+      <button
+        onClick={() => openAdd()}
+        className="fixed bottom-6 right-5 w-15 h-15 rounded-full bg-accent text-white text-3xl font-light shadow-lg shadow-accent/50 z-20 flex items-center justify-center hover:scale-105 active:scale-92 transition-transform"
+      >
+        +
+      </button>
+
+      {/* Add/Edit Modal */}
+      {showAddModal && (
+        <Modal onClose={closeAddModal}>
+          <h2 className="text-lg font-semibold">
+            {editingMeal ? "Edit Meal" : "Add Meal"}
+          </h2>
+          <form onSubmit={handleSave} className="mt-4 space-y-4">
+            {!editingMeal && templates.length > 0 && (
+              <div>
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                  ★ Favourites
+                </label>
+                <div className="flex gap-1.5 overflow-x-auto no-scrollbar">
+                  {templates.map((t) => (
+                    <span
+                      key={t.id}
+                      className="inline-flex items-center shrink-0 bg-white/6 rounded-full text-xs"
+                    >
+                      <button
+                        type="button"
+                        onClick={() => applyTemplate(t)}
+                        className="pl-3 pr-1.5 py-1.5 whitespace-nowrap hover:text-accent-light"
+                      >
+                        {getMealEmoji(t.type)} {t.name}
+                        {t.images.length > 0 && " 📷"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeTemplate(t.id)}
+                        aria-label="Remove favourite"
+                        className="pr-2.5 pl-1 py-1.5 text-text-muted hover:text-text"
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="flex gap-2.5">
+              <div className="flex-1">
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                  Meal Type
+                </label>
+                <select
+                  value={mealType}
+                  onChange={(e) => setMealType(e.target.value)}
+                  className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors appearance-none"
+                >
+                  <option value="breakfast">🌅 Breakfast</option>
+                  <option value="lunch">☀️ Lunch</option>
+                  <option value="dinner">🌙 Dinner</option>
+                  <option value="snack">🍿 Snack</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                  Eaten At
+                </label>
+                <input
+                  type="time"
+                  value={mealTime}
+                  onChange={(e) => e.target.value && setMealTime(e.target.value)}
+                  required
+                  className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Notes
+              </label>
+              <textarea
+                value={mealNotes}
+                onChange={(e) => setMealNotes(e.target.value)}
+                placeholder="What did you eat?"
+                rows={3}
+                className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors resize-y font-[inherit]"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Tags
+              </label>
+              <TagInput
+                tags={mealTags}
+                suggestions={knownTags}
+                onChange={setMealTags}
+              />
+            </div>
+            <div>
+              <div className="flex items-center justify-between mb-1.5">
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider">
+                  Foods
+                </label>
+                <label className="text-xs text-accent-light cursor-pointer hover:underline">
+                  Import catalog{foodCount > 0 && ` (${foodCount})`}
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,.json,.jsonl"
+                    hidden
+                    onChange={handleImportFoods}
+                  />
+                </label>
+              </div>
+              {mealItems.length > 0 && (
+                <ul className="space-y-1.5 mb-2">
+                  {mealItems.map((item, i) => (
+                    <li
+                      key={i}
+                      className="flex items-center gap-2 bg-white/5 rounded-xl px-3 py-2 text-sm"
+                    >
+                      <span className="flex-1 min-w-0">
+                        <span className="block truncate">{item.name}</span>
+                        <span className="block text-[11px] text-text-muted">
+                          {item.servingSize || "serving"}
+                          {item.calories != null &&
+                            ` · ${formatNutrient(
+                              item.calories * item.servings,
+                              "kcal"
+                            )}`}
+                        </span>
+                      </span>
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        min="0"
+                        step="0.25"
+                        value={item.servings}
+                        onChange={(e) => updateItemServings(i, e.target.value)}
+                        className="w-16 p-1.5 rounded-lg border border-border bg-white/5 text-text text-center outline-none focus:border-accent"
+                        aria-label="Servings"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeItem(i)}
+                        className="text-text-muted p-1 rounded-lg hover:bg-border"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="relative">
+                <input
+                  type="search"
+                  value={foodQuery}
+                  onChange={(e) => handleFoodSearch(e.target.value)}
+                  placeholder={
+                    foodCount > 0
+                      ? "Search your food catalog…"
+                      : "Import a catalog to search foods"
+                  }
+                  disabled={foodCount === 0}
+                  className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors disabled:opacity-50"
+                />
+                {foodResults.length > 0 && (
+                  <ul className="absolute left-0 right-0 mt-1 z-10 bg-bg-card border border-border rounded-xl overflow-hidden shadow-lg max-h-60 overflow-y-auto">
+                    {foodResults.map((food) => (
+                      <li key={food.id}>
+                        <button
+                          type="button"
+                          onClick={() => addFoodItem(food)}
+                          className="w-full text-left px-3 py-2 hover:bg-white/8 transition-colors"
+                        >
+                          <span className="block text-sm truncate">
+                            {food.name}
+                          </span>
+                          <span className="block text-[11px] text-text-muted">
+                            {food.servingSize || "serving"}
+                            {food.calories != null &&
+                              ` · ${formatNutrient(food.calories, "kcal")}`}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Nutrition (optional)
+              </label>
+              <div className="grid grid-cols-5 gap-1.5">
+                {NUTRIENTS.map(({ key, label, unit }) => (
+                  <label key={key} className="block">
+                    <span className="block text-[10px] text-text-muted text-center mb-1">
+                      {label} ({unit})
+                    </span>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="any"
+                      value={mealNutrition[key]}
+                      onChange={(e) =>
+                        setMealNutrition((prev) => ({
+                          ...prev,
+                          [key]: e.target.value,
+                        }))
+                      }
+                      className="w-full p-2 rounded-xl border border-border bg-white/5 text-text text-center text-sm outline-none focus:border-accent transition-colors"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Photos (up to {MAX_PHOTOS_PER_MEAL})
+              </label>
+              <div className="flex gap-2 flex-wrap mb-2">
+                {pendingImages.map((item, i) => (
+                  <div
+                    key={i}
+                    className="relative w-20 h-20 rounded-xl overflow-hidden shrink-0"
+                  >
+                    <img
+                      src={item.url}
+                      alt="Preview"
+                      className="w-full h-full object-cover"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removePendingImage(i)}
+                      className="absolute top-1 right-1 w-5.5 h-5.5 rounded-full bg-black/70 text-white text-[10px] flex items-center justify-center"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {photoTakenAt && (
+                <div className="flex items-center gap-2 mb-2 px-3 py-2 rounded-xl bg-accent/10 text-sm">
+                  <span className="flex-1">
+                    📷 Taken {formatFullDate(formatDate(photoTakenAt))},{" "}
+                    {formatTime(photoTakenAt)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={applyPhotoTime}
+                    className="px-2.5 py-1 rounded-lg bg-accent text-white text-xs font-semibold shrink-0"
+                  >
+                    Use this time
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPhotoTakenAt(null)}
+                    aria-label="Dismiss"
+                    className="text-text-muted text-xs px-1 shrink-0"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              {pendingImages.length < MAX_PHOTOS_PER_MEAL && (
+                <label className="inline-flex items-center gap-1.5 px-4 py-2.5 rounded-xl border-2 border-dashed border-border text-text-muted cursor-pointer hover:border-accent hover:text-accent-light transition-colors text-sm">
+                  <span>📷 Add Photo</span>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    hidden
+                    onChange={handleImageSelect}
+                  />
+                </label>
+              )}
+            </div>
+            <div className="flex gap-2.5 pt-2">
+              <button
+                type="button"
+                onClick={closeAddModal}
+                className="flex-1 py-3.5 rounded-xl bg-border text-text font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                Save Meal
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {/* View Modal */}
+      {showViewModal && viewMeal && (
+        <Modal onClose={() => setShowViewModal(false)}>
+          <h2 className="text-lg font-semibold">
+            {getMealEmoji(viewMeal.type)}{" "}
+            {viewMeal.type.charAt(0).toUpperCase() + viewMeal.type.slice(1)}
+          </h2>
+          {viewImages.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto py-3 no-scrollbar">
+              {viewImages.map((blob, i) => (
+                <BlobImage
+                  key={i}
+                  blob={blob}
+                  alt="Meal photo"
+                  className="h-48 rounded-xl object-cover shrink-0 cursor-pointer hover:scale-[0.97] active:scale-[0.97] transition-transform"
+                  onClick={() => openLightboxFn(i)}
+                />
+              ))}
+            </div>
+          )}
+          <p className="text-base leading-relaxed mt-3 whitespace-pre-wrap">
+            {viewMeal.notes || "No notes"}
+          </p>
+          {viewMeal.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-3">
+              {viewMeal.tags.map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() => openTagBrowser(tag)}
+                  className="bg-white/6 px-2.5 py-1 rounded-full text-xs text-text-muted hover:bg-white/10 transition-colors"
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+          {viewMeal.items?.length > 0 && (
+            <ul className="mt-3 space-y-1 text-sm">
+              {viewMeal.items.map((item, i) => (
+                <li key={i} className="flex justify-between gap-2">
+                  <span className="truncate">
+                    {item.servings !== 1 && `${item.servings} × `}
+                    {item.name}
+                  </span>
+                  {item.calories != null && (
+                    <span className="text-text-muted shrink-0">
+                      {formatNutrient(item.calories * item.servings, "kcal")}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {hasNutrition(viewMeal) && (
+            <div className="mt-3">
+              <NutritionSummary totals={viewMeal} />
+            </div>
+          )}
+          <p className="text-xs text-text-muted mt-2">
+            {formatFullDate(viewMeal.date)} at {formatTime(viewMeal.eatenAt)}
+          </p>
+          <div className="flex gap-2.5 mt-5">
+            <button
+              onClick={toggleFavourite}
+              className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+            >
+              {viewTemplate ? "★ Favourite" : "☆ Favourite"}
+            </button>
+            {!isToday(new Date(viewMeal.date + "T12:00:00")) && (
+              <button
+                onClick={handleLogAgain}
+                className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                ↻ Log again today
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2.5 mt-2.5">
+            <button
+              onClick={handleDelete}
+              className="flex-1 py-3.5 rounded-xl bg-accent/15 text-accent-light font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => openEdit(viewMeal)}
+              className="flex-1 py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+            >
+              Edit
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* History Modal */}
+      {showHistoryModal && (
+        <Modal onClose={() => setShowHistoryModal(false)}>
+          <h2 className="text-lg font-semibold">📅 Meal History</h2>
+          <div className="space-y-2">
+            <input
+              type="search"
+              value={historySearch.query}
+              onChange={(e) => updateHistorySearch({ query: e.target.value })}
+              placeholder="Search notes…"
+              className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+            />
+            <div className="flex flex-wrap gap-2 text-xs">
+              <select
+                value={historySearch.type}
+                onChange={(e) => updateHistorySearch({ type: e.target.value })}
+                className="px-2.5 py-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent appearance-none"
+              >
+                <option value="">All types</option>
+                {Object.keys(mealTypeEmojis).map((type) => (
+                  <option key={type} value={type}>
+                    {getMealEmoji(type)} {type}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={historySearch.startDate}
+                max={historySearch.endDate || undefined}
+                onChange={(e) =>
+                  updateHistorySearch({ startDate: e.target.value })
+                }
+                aria-label="From date"
+                className="px-2.5 py-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent"
+              />
+              <input
+                type="date"
+                value={historySearch.endDate}
+                min={historySearch.startDate || undefined}
+                onChange={(e) => updateHistorySearch({ endDate: e.target.value })}
+                aria-label="To date"
+                className="px-2.5 py-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent"
+              />
+              <label className="flex items-center gap-1.5 px-2.5 py-2 rounded-xl bg-white/5 text-text-muted">
+                <input
+                  type="checkbox"
+                  checked={historySearch.hasPhotos}
+                  onChange={(e) =>
+                    updateHistorySearch({ hasPhotos: e.target.checked })
+                  }
+                  className="accent-accent"
+                />
+                📷 Has photos
+              </label>
+              <button
+                onClick={() => openTagBrowser()}
+                className="px-2.5 py-2 rounded-xl bg-white/5 text-text-muted hover:bg-white/10"
+              >
+                🏷️ Tags
+              </button>
+              {!historySearchActive && historyMonths.length > 1 && (
+                <select
+                  value=""
+                  onChange={(e) => jumpToHistoryMonth(e.target.value)}
+                  aria-label="Jump to month"
+                  className="px-2.5 py-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent appearance-none"
+                >
+                  <option value="">📆 Jump to…</option>
+                  {historyMonths.map((month) => (
+                    <option key={month} value={month}>
+                      {formatMonth(month)}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {historySearchActive && (
+                <button
+                  onClick={clearHistorySearch}
+                  className="px-2.5 py-2 rounded-xl text-accent-light hover:bg-white/5"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="mt-3 max-h-[55dvh] overflow-y-auto space-y-0.5">
+            {historySearchActive ? (
+              historyResults.length === 0 ? (
+                <p className="text-center py-10 text-text-muted">
+                  No matching meals
+                </p>
+              ) : (
+                historyResults.map((meal) => (
+                  <button
+                    key={meal.id}
+                    onClick={() => openSearchResult(meal)}
+                    className="w-full flex items-start gap-3 px-4 py-3 rounded-xl bg-white/4 hover:bg-white/8 transition-colors text-left"
+                  >
+                    <span className="text-xl shrink-0">
+                      {getMealEmoji(meal.type)}
+                    </span>
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-xs text-text-muted">
+                        {formatFullDate(meal.date)} · {formatTime(meal.eatenAt)}
+                        {meal.images?.length > 0 && ` · 📷 ${meal.images.length}`}
+                      </span>
+                      <span className="block text-sm mt-0.5 line-clamp-2">
+                        {meal.notes ? (
+                          <Highlight
+                            text={meal.notes}
+                            query={historySearch.query}
+                          />
+                        ) : (
+                          <span className="text-text-muted">No notes</span>
+                        )}
+                      </span>
+                    </span>
+                  </button>
+                ))
+              )
+            ) : historyData.length === 0 ? (
+              <p className="text-center py-10 text-text-muted">
+                {historyLoading ? "Loading…" : "No meals logged yet"}
+              </p>
+            ) : (
+              <>
+                <DayGroupList data={historyData} onSelectDay={navigateToDate} />
+                {historyCursor && (
+                  <LoadMoreSentinel
+                    onVisible={loadOlderHistory}
+                    loading={historyLoading}
+                  />
+                )}
+              </>
+            )}
+          </div>
+          <div className="mt-4 pt-4 border-t border-border space-y-3">
+            <div className="flex gap-2.5">
+              <button
+                onClick={handleExportBackup}
+                disabled={backupBusy}
+                className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+              >
+                ⬇️ Backup
+              </button>
+              <label
+                className={`flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold text-center cursor-pointer hover:opacity-90 active:scale-[0.97] transition-all ${
+                  backupBusy ? "opacity-50 pointer-events-none" : ""
+                }`}
+              >
+                ⬆️ Restore
+                <input
+                  type="file"
+                  accept=".zip,application/zip"
+                  hidden
+                  onChange={handleImportBackup}
+                />
+              </label>
+            </div>
+            <div className="flex gap-2.5">
+              <button
+                onClick={openExport}
+                className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                📄 Export range
+              </button>
+              <button
+                onClick={openTrash}
+                className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                🗑️ Trash
+              </button>
+            </div>
+            <div className="flex gap-2.5">
+              <label className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold text-center cursor-pointer hover:opacity-90 active:scale-[0.97] transition-all">
+                🖼️ Import photos
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  hidden
+                  onChange={handleBulkPhotoSelect}
+                />
+              </label>
+              <button
+                onClick={openStorage}
+                className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                💾 Storage
+              </button>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-text-muted">
+              <input
+                type="checkbox"
+                checked={restoreOverwrite}
+                onChange={(e) => setRestoreOverwrite(e.target.checked)}
+                className="accent-accent"
+              />
+              Overwrite meals that already exist when restoring
+            </label>
+            <p className="text-xs text-text-muted">
+              Backups include profiles, meals and favourites but not the food
+              catalog. They aren't encrypted, even with the passcode lock on.
+            </p>
+          </div>
+        </Modal>
+      )}
+
+      {/* Photo Import Modal */}
+      {showPhotoImportModal && (
+        <Modal
+          onClose={() => !importProgress && setShowPhotoImportModal(false)}
+        >
+          <h2 className="text-lg font-semibold">🖼️ Import Photos</h2>
+          <label className="flex items-center gap-2 text-sm">
+            New meal after a gap of
+            <select
+              value={importGap}
+              onChange={(e) => setImportGap(Number(e.target.value))}
+              disabled={!!importProgress}
+              className="px-2 py-1.5 rounded-lg border border-border bg-white/5 text-text outline-none focus:border-accent"
+            >
+              {CLUSTER_GAP_OPTIONS.map((m) => (
+                <option key={m} value={m}>
+                  {m < 60 ? `${m} min` : `${m / 60} h`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <p className="text-xs text-text-muted mt-2">
+            {importPhotos.length} photo(s) → {importClusters.length} meal(s)
+            {importPhotos.some((p) => !p.fromExif) &&
+              ` · ${
+                importPhotos.filter((p) => !p.fromExif).length
+              } without a capture time use the file date`}
+          </p>
+          <div className="mt-3 max-h-[50dvh] overflow-y-auto space-y-1.5">
+            {importClusters.map((cluster, i) => (
+              <div
+                key={i}
+                className="flex items-center gap-3 px-3 py-2 rounded-xl bg-white/4"
+              >
+                <BlobImage
+                  blob={cluster.photos[0].file}
+                  alt="Photo"
+                  loading="lazy"
+                  className="w-12 h-12 rounded-lg object-cover shrink-0"
+                />
+                <span className="flex-1 min-w-0">
+                  <span className="block text-xs text-text-muted">
+                    {formatFullDate(formatDate(cluster.takenAt))}
+                  </span>
+                  <span className="block text-sm capitalize">
+                    {getMealEmoji(cluster.type)} {cluster.type} ·{" "}
+                    {formatTime(cluster.takenAt)}
+                    {cluster.endAt !== cluster.takenAt &&
+                      `–${formatTime(cluster.endAt)}`}
+                  </span>
+                </span>
+                <span className="text-xs text-text-muted shrink-0">
+                  📷 {cluster.photos.length}
+                </span>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={handleImportPhotos}
+            disabled={!!importProgress || importClusters.length === 0}
+            className="mt-4 w-full py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+          >
+            {importProgress
+              ? `Importing ${importProgress.done} / ${importProgress.total}…`
+              : `Create ${importClusters.length} meal(s)`}
+          </button>
+        </Modal>
+      )}
+
+      {/* Day Card Modal */}
+      {dayCard && (
+        <Modal onClose={() => setDayCard(null)}>
+          <h2 className="text-lg font-semibold">📤 Share day</h2>
+          <BlobImage
+            blob={dayCard.blob}
+            alt={`Summary of ${formatFullDate(dayCard.date)}`}
+            className="w-full rounded-xl mt-4"
+          />
+          <div className="flex gap-2.5 mt-4">
+            {navigator.canShare && (
+              <button
+                onClick={() =>
+                  shareImage(
+                    dayCard.blob,
+                    `meals-${dayCard.date}.png`,
+                    formatFullDate(dayCard.date)
+                  )
+                }
+                className="flex-1 py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                Share
+              </button>
+            )}
+            <button
+              onClick={() => downloadBlob(dayCard.blob, `meals-${dayCard.date}.png`)}
+              className="flex-1 py-3.5 rounded-xl bg-border text-text font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+            >
+              Download PNG
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* Storage Modal */}
+      {showStorageModal && storageInfo && (
+        <Modal onClose={() => setShowStorageModal(false)}>
+          <h2 className="text-lg font-semibold">💾 Storage</h2>
+          <StorageView
+            info={storageInfo}
+            busy={storageBusy}
+            onPersist={handlePersistStorage}
+            onRecompress={handleRecompress}
+            onStrip={handleStripPhotos}
+          />
+        </Modal>
+      )}
+
+      {/* Trash Modal */}
+      {showTrashModal && (
+        <Modal onClose={() => setShowTrashModal(false)}>
+          <h2 className="text-lg font-semibold">🗑️ Trash</h2>
+          <div className="flex items-center justify-between gap-2 text-xs text-text-muted">
+            <label className="flex items-center gap-2">
+              Delete forever after
+              <select
+                value={trashDays}
+                onChange={(e) => updateTrashDays(Number(e.target.value))}
+                className="px-2 py-1.5 rounded-lg border border-border bg-white/5 text-text outline-none focus:border-accent"
+              >
+                {[7, 14, 30, 60, 90].map((d) => (
+                  <option key={d} value={d}>
+                    {d} days
+                  </option>
+                ))}
+              </select>
+            </label>
+            {trashedMeals.length > 0 && (
+              <button
+                onClick={handleEmptyTrash}
+                className="text-accent-light font-semibold hover:underline"
+              >
+                Empty trash
+              </button>
+            )}
+          </div>
+          <div className="mt-3 max-h-[60dvh] overflow-y-auto space-y-1.5">
+            {trashedMeals.length === 0 ? (
+              <p className="text-center py-10 text-text-muted">
+                Trash is empty
+              </p>
+            ) : (
+              trashedMeals.map((meal) => (
+                <div
+                  key={meal.id}
+                  className="flex items-center gap-3 px-4 py-3 rounded-xl bg-white/4"
+                >
+                  <span className="text-xl shrink-0">
+                    {getMealEmoji(meal.type)}
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-xs text-text-muted">
+                      {formatFullDate(meal.date)} · {formatTime(meal.eatenAt)}
+                    </span>
+                    <span className="block text-sm truncate">
+                      {meal.notes || "No notes"}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => handleRestore(meal.id)}
+                    className="px-2.5 py-1.5 rounded-lg bg-accent text-white text-xs font-semibold shrink-0"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(meal.id)}
+                    aria-label="Delete forever"
+                    className="px-2 py-1.5 rounded-lg bg-accent/15 text-accent-light text-xs shrink-0"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {/* Tag Browser Modal */}
+      {showTagModal && (
+        <Modal onClose={() => setShowTagModal(false)}>
+          <h2 className="text-lg font-semibold">🏷️ Tags</h2>
+          {tagCounts.length === 0 ? (
+            <p className="text-center py-10 text-text-muted">
+              No tagged meals yet
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-1.5">
+              {tagCounts.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => selectTag(tag === selectedTag ? null : tag)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-semibold transition-colors ${
+                    tag === selectedTag
+                      ? "bg-accent text-white"
+                      : "bg-white/6 text-text-muted hover:bg-white/10"
+                  }`}
+                >
+                  #{tag} <span className="opacity-70">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {selectedTag && (
+            <div className="mt-4 max-h-[55dvh] overflow-y-auto space-y-0.5">
+              <DayGroupList data={tagDayData} onSelectDay={navigateToTagDay} />
+            </div>
+          )}
+        </Modal>
+      )}
+
+      {/* Profiles Modal */}
+      {showProfileModal && (
+        <Modal onClose={() => setShowProfileModal(false)}>
+          <h2 className="text-lg font-semibold">👥 Profiles</h2>
+          <div className="space-y-1.5">
+            {profiles.map((profile) => (
+              <div
+                key={profile.id}
+                className={`flex items-center gap-3 px-4 py-3 rounded-xl transition-colors ${
+                  profile.id === activeProfile
+                    ? "bg-accent/15 ring-1 ring-accent/50"
+                    : "bg-white/4"
+                }`}
+              >
+                <button
+                  onClick={() => switchProfile(profile.id)}
+                  className="flex-1 min-w-0 flex items-center gap-3 text-left"
+                >
+                  <span className="text-xl shrink-0">{profile.emoji}</span>
+                  <span className="truncate">{profile.name}</span>
+                </button>
+                <button
+                  onClick={() => handleRenameProfile(profile)}
+                  aria-label="Rename profile"
+                  className="px-2 py-1.5 rounded-lg bg-white/8 text-xs shrink-0"
+                >
+                  ✏️
+                </button>
+                {profiles.length > 1 && (
+                  <button
+                    onClick={() => handleDeleteProfile(profile)}
+                    aria-label="Delete profile"
+                    className="px-2 py-1.5 rounded-lg bg-accent/15 text-accent-light text-xs shrink-0"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <form
+            onSubmit={handleAddProfile}
+            className="mt-4 pt-4 border-t border-border space-y-2"
+          >
+            <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider">
+              Add someone
+            </label>
+            <div className="flex flex-wrap gap-1.5">
+              {PROFILE_EMOJIS.map((emoji) => (
+                <button
+                  key={emoji}
+                  type="button"
+                  onClick={() => setNewProfileEmoji(emoji)}
+                  className={`w-9 h-9 rounded-lg text-lg transition-colors ${
+                    emoji === newProfileEmoji
+                      ? "bg-accent/25 ring-1 ring-accent"
+                      : "bg-white/5 hover:bg-white/10"
+                  }`}
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newProfileName}
+                onChange={(e) => setNewProfileName(e.target.value)}
+                placeholder="Name"
+                className="flex-1 p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+              />
+              <button
+                type="submit"
+                disabled={!newProfileName.trim()}
+                className="px-4 rounded-xl bg-accent text-white font-semibold disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+          </form>
+          <p className="text-xs text-text-muted mt-3">
+            Each profile has its own meals, favourites and reminders.
+          </p>
+        </Modal>
+      )}
+
+      {/* Goals Modal */}
+      {showGoalsModal && (
+        <Modal onClose={() => setShowGoalsModal(false)}>
+          <h2 className="text-lg font-semibold">🎯 Daily Goals</h2>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Log every day
+              </label>
+              <div className="space-y-2">
+                {Object.keys(mealTypeEmojis).map((type) => (
+                  <label key={type} className="flex items-center gap-2 capitalize">
+                    <input
+                      type="checkbox"
+                      checked={goals.types.includes(type)}
+                      onChange={(e) =>
+                        updateGoals({
+                          ...goals,
+                          types: e.target.checked
+                            ? [...goals.types, type]
+                            : goals.types.filter((t) => t !== type),
+                        })
+                      }
+                      className="accent-accent"
+                    />
+                    {getMealEmoji(type)} {type}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={goals.photoEveryMeal}
+                onChange={(e) =>
+                  updateGoals({ ...goals, photoEveryMeal: e.target.checked })
+                }
+                className="accent-accent"
+              />
+              📷 Photograph every meal
+            </label>
+            <div className="flex gap-4 text-xs text-text-muted pt-2 border-t border-border">
+              {Object.entries(GOAL_STATUS_CLASSES).map(([status, cls]) => (
+                <span key={status} className="inline-flex items-center gap-1.5 capitalize">
+                  <span className={`w-2 h-2 rounded-full ${cls}`} />
+                  {status}
+                </span>
+              ))}
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Stats Modal */}
+      {showStatsModal && stats && (
+        <Modal onClose={() => setShowStatsModal(false)}>
+          <h2 className="text-lg font-semibold">📊 Stats</h2>
+          <div className="flex gap-1.5 mb-4">
+            {[4, 12, 52].map((weeks) => (
+              <button
+                key={weeks}
+                onClick={() => openStats(weeks)}
+                className={`flex-1 py-2 rounded-xl text-sm font-semibold transition-colors ${
+                  statsWeeks === weeks
+                    ? "bg-accent text-white"
+                    : "bg-white/5 text-text-muted hover:bg-white/10"
+                }`}
+              >
+                {weeks} weeks
+              </button>
+            ))}
+          </div>
+          <StatsView stats={stats} />
+        </Modal>
+      )}
+
+      {/* Export Modal */}
+      {showExportModal && (
+        <Modal onClose={() => setShowExportModal(false)}>
+          <h2 className="text-lg font-semibold">📄 Export Meals</h2>
+          <form onSubmit={handleExportRange} className="mt-4 space-y-4">
+            <div className="flex gap-2.5">
+              <div className="flex-1">
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                  From
+                </label>
+                <input
+                  type="date"
+                  value={exportStart}
+                  max={exportEnd || undefined}
+                  onChange={(e) => setExportStart(e.target.value)}
+                  className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                  To
+                </label>
+                <input
+                  type="date"
+                  value={exportEnd}
+                  min={exportStart || undefined}
+                  onChange={(e) => setExportEnd(e.target.value)}
+                  className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+                Format
+              </label>
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors appearance-none"
+              >
+                <option value="csv">CSV (spreadsheet)</option>
+                <option value="json">JSON (no photos)</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              className="w-full py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+            >
+              Export
+            </button>
+          </form>
+          <div className="mt-5 pt-4 border-t border-border">
+            <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
+              Printable food diary
+            </label>
+            <div className="flex gap-2.5">
+              <button
+                onClick={() => openReport("week")}
+                className="flex-1 py-3 rounded-xl bg-border text-text font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                🖨️ Week
+              </button>
+              <button
+                onClick={() => openReport("month")}
+                className="flex-1 py-3 rounded-xl bg-border text-text font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              >
+                🖨️ Month
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Reminder Settings Modal */}
+      {showReminderModal && (
+        <Modal onClose={() => setShowReminderModal(false)}>
+          <h2 className="text-lg font-semibold">🔔 Reminders</h2>
+          <ReminderSettings
+            settings={reminderSettings}
+            onChange={updateReminderSettings}
+          />
+        </Modal>
+      )}
+
+      {/* Passcode Modal */}
+      {showLockModal && (
+        <Modal onClose={() => setShowLockModal(false)}>
+          <h2 className="text-lg font-semibold">🔒 Passcode</h2>
+          <PasscodeSettings
+            enabled={lockEnabled}
+            busy={lockBusy}
+            autoLockMinutes={autoLockMinutes}
+            onSetPasscode={handleSetPasscode}
+            onDisable={handleDisableLock}
+            onAutoLockChange={updateAutoLock}
+            onLockNow={lockApp}
+          />
+        </Modal>
+      )}
+
+      {/* Printable report */}
+      {report && (
+        <PrintReport
+          report={report}
+          meals={reportMeals}
+          profileName={currentProfile?.name}
+          onPeriodChange={(period) => setReport({ ...report, period })}
+          onShift={shiftReport}
+          onClose={() => setReport(null)}
+        />
+      )}
+
+      {/* Lightbox */}
+      {showLightbox && viewMeal && viewImages.length > 0 && (
+        <PhotoGallery
+          images={viewImages}
+          index={Math.min(lightboxIndex, viewImages.length - 1)}
+          onIndexChange={setLightboxIndex}
+          onClose={() => setShowLightbox(false)}
+          fullLoaded={viewPhotosLoaded}
+          onDownload={downloadPhoto}
+          onShare={navigator.canShare ? sharePhoto : undefined}
+          onMakeCover={makeCoverPhoto}
+          onDelete={deletePhoto}
+        />
+      )}
+
+      {/* Lock screen */}
+      {locked && (
+        <LockScreen
+          onUnlock={handleUnlock}
+          changePending={hasPendingPasscodeChange()}
+        />
+      )}
+
+      {/* Database upgrade / error overlay */}
+      {(dbUpgrade || dbError) && (
+        <div className="fixed inset-0 z-[400] bg-bg/95 flex items-center justify-center p-6">
+          <div className="bg-bg-card rounded-2xl p-6 max-w-sm w-full text-center">
+            {dbError ? (
+              <>
+                <div className="text-4xl mb-3">⚠️</div>
+                <p className="text-sm leading-relaxed">{dbError}</p>
+                <button
+                  onClick={() => window.location.reload()}
+                  className="mt-5 w-full py-3 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+                >
+                  Reload
+                </button>
+              </>
+            ) : (
+              <>
+                <p className="font-semibold">Updating your meal database…</p>
+                <p className="text-xs text-text-muted mt-2">
+                  Step {dbUpgrade.step} of {dbUpgrade.steps}:{" "}
+                  {dbUpgrade.description}
+                </p>
+                <div className="h-1.5 rounded-full bg-border mt-4 overflow-hidden">
+                  <div
+                    className="h-full bg-accent transition-all"
+                    style={{
+                      width: `${
+                        ((dbUpgrade.step - 1 +
+                          (dbUpgrade.total
+                            ? dbUpgrade.done / dbUpgrade.total
+                            : 0)) /
+                          dbUpgrade.steps) *
+                        100
+                      }%`,
+                    }}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Toast */}
+      {toast && (
+        <div className="fixed bottom-24 left-1/2 -translate-x-1/2 bg-bg-card text-text px-6 py-3 rounded-full text-sm shadow-lg z-[300] animate-toast flex items-center gap-4 whitespace-nowrap">
+          {toast.msg}
+          {toast.action && (
+            <button
+              onClick={() => {
+                setToast(null);
+                toast.action.onClick();
+              }}
+              className="font-semibold text-accent-light"
+            >
+              {toast.action.label}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========== Sub-components ==========
+
+function Modal({ onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-[100] flex items-end justify-center">
+      <div
+        className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+        onClick={onClose}
+      />
+      <div className="relative bg-bg-modal w-full max-w-[500px] max-h-[90dvh] rounded-t-2xl p-5 overflow-y-auto animate-slide-up">
+        <div className="flex justify-between items-center mb-4">
+          {children[0]}
+          <button
+            onClick={onClose}
+            className="text-text-muted text-lg p-2 rounded-lg hover:bg-border transition-colors"
+          >
+            ✕
+          </button>
+        </div>
+        {children.slice(1)}
+      </div>
+    </div>
+  );
+}
+
+function formatNutrientLine(totals) {
+  return NUTRIENTS.filter(({ key }) => totals[key] != null)
+    .map(({ key, short, unit }) =>
+      unit === "kcal"
+        ? formatNutrient(totals[key], unit)
+        : `${short} ${formatNutrient(totals[key], unit)}`
+    )
+    .join(" · ");
+}
+
+function NutritionSummary({ totals }) {
+  return (
+    <div className="grid grid-cols-5 gap-1.5 bg-bg-card rounded-xl p-3">
+      {NUTRIENTS.map(({ key, label, unit }) => (
+        <div key={key} className="text-center">
+          <div className="text-sm font-semibold">
+            {formatNutrient(totals[key], unit)}
+          </div>
+          <div className="text-[10px] text-text-muted uppercase tracking-wider">
+            {label}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const REMINDER_DAYS = [
+  { day: 1, label: "M" },
+  { day: 2, label: "T" },
+  { day: 3, label: "W" },
+  { day: 4, label: "T" },
+  { day: 5, label: "F" },
+  { day: 6, label: "S" },
+  { day: 0, label: "S" },
+];
+
+// What public/sw.js needs to re-fire a snoozed reminder with the app closed
+const CAN_SCHEDULE_SNOOZES =
+  (typeof Notification !== "undefined" &&
+    "showTrigger" in Notification.prototype) ||
+  typeof SyncManager !== "undefined";
+
+function formatMinutes(minutes) {
+  if (minutes == null) return "–";
+  return formatTime(new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white/4 rounded-xl p-3">
+      <div className="text-lg font-semibold">{value}</div>
+      <div className="text-[11px] text-text-muted uppercase tracking-wider">
+        {label}
+      </div>
+    </div>
+  );
+}
+
+function StatsView({ stats }) {
+  const types = Object.keys(mealTypeEmojis);
+  const photoPct = stats.totalMeals
+    ? Math.round((stats.withPhotos / stats.totalMeals) * 100)
+    : 0;
+  const maxType = Math.max(1, ...types.map((t) => stats.typeTotals[t]));
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 gap-2">
+        <StatCard label="Meals logged" value={stats.totalMeals} />
+        <StatCard
+          label="Days with nothing"
+          value={`${stats.emptyDays} / ${stats.totalDays}`}
+        />
+        <StatCard label="Avg first meal" value={formatMinutes(stats.avgFirstMeal)} />
+        <StatCard label="Avg last meal" value={formatMinutes(stats.avgLastMeal)} />
+      </div>
+
+      <div>
+        <h3 className="text-xs text-text-muted font-semibold uppercase tracking-wider mb-2">
+          Meals per {stats.perWeek ? "week" : "day"}
+        </h3>
+        <StackedBarChart buckets={stats.buckets} types={types} />
+        <div className="flex flex-wrap gap-3 mt-2 text-[11px] text-text-muted">
+          {types.map((t) => (
+            <span key={t} className="inline-flex items-center gap-1">
+              <span
+                className="w-2.5 h-2.5 rounded-sm"
+                style={{ background: mealTypeColors[t] }}
               />
+              {t}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xs text-text-muted font-semibold uppercase tracking-wider mb-2">
+          By type
+        </h3>
+        <div className="space-y-1.5">
+          {types.map((t) => (
+            <div key={t} className="flex items-center gap-2 text-sm">
+              <span className="w-24 capitalize shrink-0">
+                {getMealEmoji(t)} {t}
+              </span>
+              <svg className="flex-1 h-3" viewBox="0 0 100 10" preserveAspectRatio="none">
+                <rect width="100" height="10" rx="2" fill="var(--color-border)" />
+                <rect
+                  width={(stats.typeTotals[t] / maxType) * 100}
+                  height="10"
+                  rx="2"
+                  fill={mealTypeColors[t]}
+                />
+              </svg>
+              <span className="w-8 text-right text-text-muted">
+                {stats.typeTotals[t]}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xs text-text-muted font-semibold uppercase tracking-wider mb-2">
+          Photo vs text-only
+        </h3>
+        <svg className="w-full h-4" viewBox="0 0 100 10" preserveAspectRatio="none">
+          <rect width="100" height="10" rx="2" fill="var(--color-border)" />
+          <rect width={photoPct} height="10" rx="2" fill="var(--color-accent)" />
+        </svg>
+        <p className="text-xs text-text-muted mt-1.5">
+          📷 {stats.withPhotos} with photos ({photoPct}%) · 📝 {stats.textOnly}{" "}
+          text only
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const PHOTO_AGE_OPTIONS = [3, 6, 12, 24];
+const PHOTO_WIDTH_OPTIONS = [400, 600, PHOTO_MAX_WIDTH];
+const PHOTO_QUALITY_OPTIONS = [0.5, 0.6, PHOTO_QUALITY];
+
+function StorageView({ info, busy, onPersist, onRecompress, onStrip }) {
+  const [months, setMonths] = useState(12);
+  const [maxWidth, setMaxWidth] = useState(600);
+  const [quality, setQuality] = useState(0.6);
+  const { estimate, persisted } = info;
+  const usedPct = estimate?.quota
+    ? Math.min(100, (estimate.usage / estimate.quota) * 100)
+    : 0;
+  const maxBytes = Math.max(1, ...info.months.map((m) => m.bytes));
+  const headingClass =
+    "text-xs text-text-muted font-semibold uppercase tracking-wider mb-2";
+  const selectClass =
+    "px-2 py-1.5 rounded-lg border border-border bg-white/5 text-text outline-none focus:border-accent";
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <h3 className={headingClass}>Usage</h3>
+        {estimate ? (
+          <>
+            <svg className="w-full h-4" viewBox="0 0 100 10" preserveAspectRatio="none">
+              <rect width="100" height="10" rx="2" fill="var(--color-border)" />
+              <rect width={usedPct} height="10" rx="2" fill="var(--color-accent)" />
+            </svg>
+            <p className="text-xs text-text-muted mt-1.5">
+              {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used
+              ({usedPct.toFixed(usedPct < 1 ? 2 : 0)}%)
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-text-muted">
+            This browser doesn't report storage usage.
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3 text-sm">
+        <span className="flex-1">
+          {persisted
+            ? "✅ Persistent — the browser won't clear your meals when space runs low."
+            : "Your meals may be cleared by the browser if the device runs low on space."}
+        </span>
+        {!persisted && (
+          <button
+            onClick={onPersist}
+            className="px-3 py-2 rounded-lg bg-accent text-white text-xs font-semibold shrink-0"
+          >
+            Keep my data
+          </button>
+        )}
+      </div>
+
+      <div>
+        <h3 className={headingClass}>Photos by month</h3>
+        {info.months.length === 0 ? (
+          <p className="text-sm text-text-muted">No photos yet</p>
+        ) : (
+          <div className="space-y-1.5 max-h-56 overflow-y-auto">
+            {info.months.map((m) => (
+              <div key={m.month} className="flex items-center gap-2 text-sm">
+                <span className="w-32 shrink-0">{formatMonth(m.month)}</span>
+                <svg className="flex-1 h-3" viewBox="0 0 100 10" preserveAspectRatio="none">
+                  <rect width="100" height="10" rx="2" fill="var(--color-border)" />
+                  <rect
+                    width={(m.bytes / maxBytes) * 100}
+                    height="10"
+                    rx="2"
+                    fill="var(--color-accent)"
+                  />
+                </svg>
+                <span className="w-24 text-right text-xs text-text-muted shrink-0">
+                  📷 {m.photos} · {formatBytes(m.bytes)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2.5">
+        <h3 className={headingClass}>Free up space</h3>
+        <label className="flex items-center gap-2 text-sm">
+          Photos older than
+          <select
+            value={months}
+            onChange={(e) => setMonths(Number(e.target.value))}
+            className={selectClass}
+          >
+            {PHOTO_AGE_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n} months
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            value={maxWidth}
+            onChange={(e) => setMaxWidth(Number(e.target.value))}
+            className={selectClass}
+          >
+            {PHOTO_WIDTH_OPTIONS.map((w) => (
+              <option key={w} value={w}>
+                {w}px wide
+              </option>
+            ))}
+          </select>
+          <select
+            value={quality}
+            onChange={(e) => setQuality(Number(e.target.value))}
+            className={selectClass}
+          >
+            {PHOTO_QUALITY_OPTIONS.map((q) => (
+              <option key={q} value={q}>
+                {Math.round(q * 100)}% quality
+              </option>
             ))}
+          </select>
+        </div>
+        <div className="flex gap-2.5">
+          <button
+            onClick={() => onRecompress({ months, maxWidth, quality })}
+            disabled={!!busy}
+            className="flex-1 py-3 rounded-xl bg-border text-text text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+          >
+            🗜️ Re-compress
+          </button>
+          <button
+            onClick={() => onStrip(months)}
+            disabled={!!busy}
+            className="flex-1 py-3 rounded-xl bg-accent/15 text-accent-light text-sm font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+          >
+            Remove photos
+          </button>
+        </div>
+        {busy && <p className="text-xs text-text-muted">{busy}</p>}
+        <p className="text-xs text-text-muted">
+          Applies to every profile on this device. Removing photos keeps notes,
+          foods and tags.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function StackedBarChart({ buckets, types }) {
+  const height = 120;
+  const barGap = 2;
+  const width = 300;
+  const barWidth = width / buckets.length - barGap;
+  const max = Math.max(1, ...buckets.map((b) => b.total));
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height + 14}`}
+      className="w-full"
+      role="img"
+      aria-label="Meals over time"
+    >
+      {[0.5, 1].map((f) => (
+        <line
+          key={f}
+          x1="0"
+          x2={width}
+          y1={height - height * f}
+          y2={height - height * f}
+          stroke="var(--color-border)"
+          strokeDasharray="2 3"
+        />
+      ))}
+      <text x="0" y="9" fontSize="8" fill="var(--color-text-muted)">
+        {max}
+      </text>
+      {buckets.map((b, i) => {
+        const x = i * (barWidth + barGap);
+        let y = height;
+        return (
+          <g key={b.key}>
+            <title>{`${b.key}: ${b.total} meal(s)`}</title>
+            {types.map((t) => {
+              const h = (b.counts[t] / max) * height;
+              y -= h;
+              return h > 0 ? (
+                <rect
+                  key={t}
+                  x={x}
+                  y={y}
+                  width={Math.max(barWidth, 1)}
+                  height={h}
+                  fill={mealTypeColors[t]}
+                />
+              ) : null;
+            })}
+          </g>
+        );
+      })}
+      <text x="0" y={height + 11} fontSize="8" fill="var(--color-text-muted)">
+        {buckets[0]?.key}
+      </text>
+      <text
+        x={width}
+        y={height + 11}
+        fontSize="8"
+        textAnchor="end"
+        fill="var(--color-text-muted)"
+      >
+        {buckets[buckets.length - 1]?.key}
+      </text>
+    </svg>
+  );
+}
+
+function TagInput({ tags, suggestions, onChange }) {
+  const [draft, setDraft] = useState("");
+
+  function commit(value) {
+    const tag = value.trim().replace(/\s+/g, " ").toLowerCase();
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setDraft("");
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit(draft);
+    } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 p-2 rounded-xl border border-border bg-white/5 focus-within:border-accent transition-colors">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center gap-1 bg-accent/15 text-accent-light text-xs font-semibold pl-2.5 pr-1 py-1 rounded-full"
+        >
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            className="w-4 h-4 rounded-full text-[10px] flex items-center justify-center hover:bg-black/30"
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => commit(draft)}
+        list="known-tags"
+        placeholder={tags.length ? "" : "restaurant, homemade…"}
+        className="flex-1 min-w-[100px] bg-transparent text-text text-sm outline-none p-1"
+      />
+      <datalist id="known-tags">
+        {suggestions
+          .filter((t) => !tags.includes(t))
+          .map((t) => (
+            <option key={t} value={t} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
+
+function DayGroupList({ data, onSelectDay }) {
+  return (
+    <>
+      {data.map((item, i) =>
+        item.type === "month" ? (
+          <div
+            key={`m-${i}`}
+            className={`text-xs font-bold text-accent uppercase tracking-widest px-4 ${
+              i === 0 ? "pt-2 pb-2" : "pt-4 pb-2"
+            }`}
+          >
+            {item.label}
           </div>
+        ) : (
+          <button
+            key={item.dateStr}
+            onClick={() => onSelectDay(item.dateStr)}
+            className="w-full flex items-center gap-3 px-4 py-3.5 rounded-xl bg-white/4 hover:bg-white/8 transition-colors text-left"
+          >
+            <div className="shrink-0">
+              <span
+                className={`block font-semibold text-sm whitespace-nowrap ${
+                  item.isToday ? "text-accent-light" : ""
+                }`}
+              >
+                {item.dayLabel}
+              </span>
+              {item.totals && (
+                <span className="block text-[11px] text-text-muted whitespace-nowrap mt-0.5">
+                  {formatNutrientLine(item.totals)}
+                </span>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-1.5 flex-1 justify-end">
+              {item.meals.map((m) => (
+                <span
+                  key={m.id}
+                  className="inline-flex items-center gap-1 bg-white/6 px-2.5 py-1 rounded-full text-[11px] text-text-muted whitespace-nowrap"
+                >
+                  <span className="text-sm">
+                    {getMealEmoji(m.type)}
+                  </span>
+                  {m.type} {formatTime(m.eatenAt)}
+                </span>
+              ))}
+            </div>
+            <span className="text-text-muted text-xs opacity-50 shrink-0">
+              ▶
+            </span>
+          </button>
+        )
+      )}
+    </>
+  );
+}
+
+const SWIPE_MIN_PX = 50;
+
+// Days are shaded by calories when any day in the month has them, otherwise
+// by the number of meals logged.
+function MonthCalendar({ month, meals, selectedDate, onSelect, onShiftMonth }) {
+  const touchStart = useRef(null);
+  const days = useMemo(() => {
+    const byDate = new Map();
+    meals.forEach((m) => {
+      if (!byDate.has(m.date)) {
+        byDate.set(m.date, { count: 0, calories: 0, types: new Set() });
+      }
+      const day = byDate.get(m.date);
+      day.count++;
+      day.calories += m.calories || 0;
+      day.types.add(m.type);
+    });
+    return byDate;
+  }, [meals]);
+
+  const byCalories = [...days.values()].some((d) => d.calories > 0);
+  const valueOf = (day) => (byCalories ? day.calories : day.count);
+  const max = Math.max(1, ...[...days.values()].map(valueOf));
+  const [y, m] = month.split("-").map(Number);
+  const first = new Date(y, m - 1, 1);
+  const leading = (first.getDay() + 6) % 7;
+  const cells = [
+    ...Array(leading).fill(null),
+    ...Array.from({ length: new Date(y, m, 0).getDate() }, (_, i) =>
+      formatDate(new Date(y, m - 1, i + 1))
+    ),
+  ];
+  const weekdays = getWeekDates(getWeekStart(first)).map(getDayName);
+  const types = Object.keys(mealTypeEmojis);
+
+  function handleTouchEnd(e) {
+    if (!touchStart.current) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - touchStart.current.x;
+    const dy = touch.clientY - touchStart.current.y;
+    touchStart.current = null;
+    if (Math.abs(dx) > SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy)) {
+      onShiftMonth(dx < 0 ? 1 : -1);
+    }
+  }
+
+  return (
+    <section
+      className="px-3 py-2 select-none"
+      onTouchStart={(e) => {
+        const touch = e.touches[0];
+        touchStart.current = { x: touch.clientX, y: touch.clientY };
+      }}
+      onTouchEnd={handleTouchEnd}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <button
+          onClick={() => onShiftMonth(-1)}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors"
+        >
+          ◀
+        </button>
+        <span className="font-semibold">{formatMonth(month)}</span>
+        <button
+          onClick={() => onShiftMonth(1)}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors"
+        >
+          ▶
+        </button>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {weekdays.map((d) => (
+          <span key={d} className="text-[11px] text-text-muted font-medium pb-1">
+            {d}
+          </span>
+        ))}
+        {cells.map((dateStr, i) => {
+          if (!dateStr) return <span key={`blank-${i}`} />;
+          const day = days.get(dateStr);
+          const intensity = day ? valueOf(day) / max : 0;
+          const active = dateStr === selectedDate;
+          return (
+            <button
+              key={dateStr}
+              onClick={() => onSelect(dateStr)}
+              title={
+                day
+                  ? `${day.count} meal(s)${
+                      day.calories ? ` · ${formatNutrient(day.calories, "kcal")}` : ""
+                    }`
+                  : undefined
+              }
+              style={
+                day
+                  ? {
+                      background: `color-mix(in srgb, var(--color-accent) ${Math.round(
+                        15 + intensity * 65
+                      )}%, transparent)`,
+                    }
+                  : undefined
+              }
+              className={`aspect-square rounded-lg flex flex-col items-center justify-center transition-all ${
+                day ? "" : "bg-white/4"
+              } ${active ? "ring-2 ring-accent-light" : ""} ${
+                isToday(new Date(dateStr + "T12:00:00"))
+                  ? "font-bold text-accent-light"
+                  : ""
+              }`}
+            >
+              <span className="text-sm leading-none">
+                {Number(dateStr.slice(8))}
+              </span>
+              {day && (
+                <span className="text-[9px] leading-none mt-1 tracking-tighter">
+                  {types
+                    .filter((t) => day.types.has(t))
+                    .map(getMealEmoji)
+                    .join("")}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+      <p className="flex items-center justify-center gap-2 text-[11px] text-text-muted mt-2">
+        Shaded by {byCalories ? "calories" : "meals logged"} · Less
+        <span
+          className="w-16 h-2 rounded-full"
+          style={{
+            background:
+              "linear-gradient(to right, color-mix(in srgb, var(--color-accent) 15%, transparent), var(--color-accent))",
+          }}
+        />
+        More
+      </p>
+    </section>
+  );
+}
+
+const REPORT_CELL = "border border-neutral-300 p-1.5 align-top";
+
+// Light, paper-friendly food diary with one row per day. index.css hides the
+// rest of the app while it prints.
+function PrintReport({
+  report,
+  meals,
+  profileName,
+  onPeriodChange,
+  onShift,
+  onClose,
+}) {
+  const dates = getReportDates(report);
+  const types = Object.keys(mealTypeEmojis);
+  const byDay = useMemo(() => {
+    const grouped = new Map();
+    [...(meals || [])]
+      .sort((a, b) => a.eatenAt - b.eatenAt)
+      .forEach((meal) => {
+        if (!grouped.has(meal.date)) grouped.set(meal.date, []);
+        grouped.get(meal.date).push(meal);
+      });
+    return grouped;
+  }, [meals]);
+
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const range =
+    report.period === "month"
+      ? formatMonth(formatDate(first).slice(0, 7))
+      : `${first.toLocaleDateString("en-US", {
+          month: "short",
+          day: "numeric",
+        })} – ${last.toLocaleDateString("en-US", {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })}`;
+
+  return (
+    <div className="print-report fixed inset-0 z-[250] overflow-y-auto bg-neutral-300 text-neutral-900 print:static print:overflow-visible print:bg-white">
+      <div className="print:hidden sticky top-0 z-10 flex items-center gap-2 p-3 bg-bg text-text shadow-lg">
+        <button
+          onClick={onClose}
+          aria-label="Close report"
+          className="w-10 h-10 rounded-xl bg-white/8 flex items-center justify-center text-xl hover:bg-white/15 transition-colors"
+        >
+          ✕
+        </button>
+        <select
+          value={report.period}
+          onChange={(e) => onPeriodChange(e.target.value)}
+          className="p-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors"
+        >
+          <option value="week">Week</option>
+          <option value="month">Month</option>
+        </select>
+        <button
+          onClick={() => onShift(-1)}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors"
+        >
+          ◀
+        </button>
+        <span className="text-sm font-semibold truncate">{range}</span>
+        <button
+          onClick={() => onShift(1)}
+          className="text-text-muted p-2 rounded-lg hover:bg-border transition-colors"
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => window.print()}
+          disabled={!meals}
+          className="ml-auto px-4 py-2 rounded-xl bg-accent text-white font-semibold hover:opacity-90 disabled:opacity-50 transition-all"
+        >
+          🖨️ Print
+        </button>
+      </div>
+      <div className="max-w-5xl mx-auto my-4 bg-white p-8 shadow-lg overflow-x-auto print:m-0 print:p-0 print:max-w-none print:shadow-none print:overflow-visible">
+        <h1 className="text-2xl font-bold">Food diary</h1>
+        <p className="text-sm text-neutral-600 mt-1">
+          {profileName && `${profileName} · `}
+          {range}
+        </p>
+        {!meals ? (
+          <p className="text-sm text-neutral-500 py-12 text-center">Loading…</p>
+        ) : (
+          <table className="w-full mt-4 border-collapse text-xs">
+            <thead>
+              <tr className="bg-neutral-100">
+                <th className={`${REPORT_CELL} text-left w-24`}>Day</th>
+                {types.map((type) => (
+                  <th key={type} className={`${REPORT_CELL} text-left`}>
+                    {getMealEmoji(type)}{" "}
+                    {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dates.map((date) => {
+                const dateStr = formatDate(date);
+                const dayMeals = byDay.get(dateStr) || [];
+                const calories = sumNutrition(dayMeals).calories;
+                return (
+                  <tr key={dateStr}>
+                    <td className={REPORT_CELL}>
+                      <div className="font-semibold">
+                        {getDayName(date)} {date.getDate()}
+                      </div>
+                      {calories != null && (
+                        <div className="text-neutral-500">
+                          {formatNutrient(calories, "kcal")}
+                        </div>
+                      )}
+                    </td>
+                    {types.map((type) => (
+                      <td key={type} className={REPORT_CELL}>
+                        {dayMeals
+                          .filter((meal) => meal.type === type)
+                          .map((meal) => (
+                            <div key={meal.id} className="mb-2 last:mb-0">
+                              <div className="font-semibold">
+                                {formatTime(meal.eatenAt)}
+                                {meal.calories != null &&
+                                  ` · ${formatNutrient(meal.calories, "kcal")}`}
+                              </div>
+                              {meal.notes && (
+                                <p className="whitespace-pre-wrap">{meal.notes}</p>
+                              )}
+                              {meal.items?.length > 0 && (
+                                <p className="text-neutral-600">
+                                  {meal.items.map((item) => item.name).join(", ")}
+                                </p>
+                              )}
+                              {meal.images?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-1">
+                                  {meal.images.map((blob, i) => (
+                                    <BlobImage
+                                      key={i}
+                                      blob={blob}
+                                      alt="Meal photo"
+                                      className="w-12 h-12 object-cover rounded"
+                                    />
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const ZOOM_MAX = 4;
+const DOUBLE_TAP_ZOOM = 2.5;
+const DOUBLE_TAP_MS = 300;
+
+// Swipe or use the arrow keys to move between photos.
+function PhotoGallery({
+  images,
+  index,
+  onIndexChange,
+  onClose,
+  fullLoaded,
+  onDownload,
+  onShare,
+  onMakeCover,
+  onDelete,
+}) {
+  const count = images.length;
+  const go = useCallback(
+    (delta) => {
+      const next = index + delta;
+      if (next >= 0 && next < count) onIndexChange(next);
+    },
+    [index, count, onIndexChange]
+  );
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === "ArrowLeft") go(-1);
+      else if (e.key === "ArrowRight") go(1);
+    };
+    document.addEventListener("keydown", handler);
+    return () => document.removeEventListener("keydown", handler);
+  }, [go]);
+
+  const actionClass =
+    "flex flex-col items-center gap-0.5 text-[11px] text-white/80 px-3 py-1.5 rounded-xl hover:bg-white/10 transition-colors disabled:opacity-40";
+
+  return (
+    <div className="fixed inset-0 z-[200] bg-black/95 flex flex-col">
+      <div className="flex items-center justify-between p-4">
+        <span className="text-sm text-white/70 tabular-nums">
+          {index + 1} / {count}
+        </span>
+        <button
+          onClick={onClose}
+          className="bg-white/10 text-white text-2xl w-11 h-11 rounded-full flex items-center justify-center"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 relative overflow-hidden">
+        <ZoomableImage key={index} blob={images[index]} onSwipe={go} />
+        {index > 0 && (
+          <button
+            onClick={() => go(-1)}
+            className="hidden sm:flex absolute left-4 top-1/2 -translate-y-1/2 bg-white/10 text-white w-11 h-11 rounded-full items-center justify-center"
+          >
+            ◀
+          </button>
+        )}
+        {index < count - 1 && (
+          <button
+            onClick={() => go(1)}
+            className="hidden sm:flex absolute right-4 top-1/2 -translate-y-1/2 bg-white/10 text-white w-11 h-11 rounded-full items-center justify-center"
+          >
+            ▶
+          </button>
+        )}
+      </div>
+      <div className="flex justify-center gap-2 p-4 pb-[max(1rem,env(safe-area-inset-bottom))]">
+        <button
+          onClick={() => onDownload(index)}
+          disabled={!fullLoaded}
+          title={fullLoaded ? undefined : "Loading the full photo…"}
+          className={actionClass}
+        >
+          <span className="text-lg">⬇️</span>
+          Download
+        </button>
+        {onShare && (
+          <button
+            onClick={() => onShare(index)}
+            disabled={!fullLoaded}
+            title={fullLoaded ? undefined : "Loading the full photo…"}
+            className={actionClass}
+          >
+            <span className="text-lg">📤</span>
+            Share
+          </button>
+        )}
+        <button
+          onClick={() => onMakeCover(index)}
+          disabled={index === 0}
+          className={actionClass}
+        >
+          <span className="text-lg">⭐</span>
+          {index === 0 ? "Cover" : "Set cover"}
+        </button>
+        <button onClick={() => onDelete(index)} className={actionClass}>
+          <span className="text-lg">🗑️</span>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Pinch or double-tap to zoom, drag to pan while zoomed. Swipes only count
+// at normal size so they don't fight with panning.
+function ZoomableImage({ blob, onSwipe }) {
+  const url = useMemo(() => blobToURL(blob), [blob]);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const imgRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef(0);
+
+  useEffect(() => {
+    return () => revokeURL(url);
+  }, [url]);
+
+  function clamp({ scale, x, y }, animate = false) {
+    const s = Math.min(ZOOM_MAX, Math.max(1, scale));
+    const img = imgRef.current;
+    const maxX = img ? (img.offsetWidth * (s - 1)) / 2 : 0;
+    const maxY = img ? (img.offsetHeight * (s - 1)) / 2 : 0;
+    return {
+      scale: s,
+      x: Math.min(maxX, Math.max(-maxX, x)),
+      y: Math.min(maxY, Math.max(-maxY, y)),
+      animate,
+    };
+  }
+
+  function handlePointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const [a, b] = [...pointers.current.values()];
+    gesture.current = b
+      ? { pinch: Math.hypot(a.x - b.x, a.y - b.y), start: view }
+      : { x: e.clientX, y: e.clientY, start: view };
+  }
+
+  function handlePointerMove(e) {
+    const g = gesture.current;
+    if (!g || !pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const [a, b] = [...pointers.current.values()];
+    if (g.pinch && b) {
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      setView(clamp({ ...g.start, scale: (g.start.scale * distance) / g.pinch }));
+    } else if (!g.pinch && g.start.scale > 1) {
+      setView(
+        clamp({
+          scale: g.start.scale,
+          x: g.start.x + e.clientX - g.x,
+          y: g.start.y + e.clientY - g.y,
+        })
+      );
+    }
+  }
+
+  function handlePointerUp(e) {
+    pointers.current.delete(e.pointerId);
+    const g = gesture.current;
+    gesture.current = null;
+    if (!g || g.pinch || pointers.current.size > 0) return;
+    const dx = e.clientX - g.x;
+    const dy = e.clientY - g.y;
+    if (
+      g.start.scale === 1 &&
+      Math.abs(dx) > SWIPE_MIN_PX &&
+      Math.abs(dx) > Math.abs(dy)
+    ) {
+      onSwipe(dx < 0 ? 1 : -1);
+    } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+      const now = Date.now();
+      if (now - lastTap.current > DOUBLE_TAP_MS) {
+        lastTap.current = now;
+        return;
+      }
+      lastTap.current = 0;
+      if (view.scale > 1) {
+        setView({ scale: 1, x: 0, y: 0, animate: true });
+      } else {
+        // Keep the tapped point under the finger
+        const rect = imgRef.current.getBoundingClientRect();
+        const px = e.clientX - (rect.left + rect.width / 2);
+        const py = e.clientY - (rect.top + rect.height / 2);
+        setView(
+          clamp(
+            {
+              scale: DOUBLE_TAP_ZOOM,
+              x: px * (1 - DOUBLE_TAP_ZOOM),
+              y: py * (1 - DOUBLE_TAP_ZOOM),
+            },
+            true
+          )
+        );
+      }
+    }
+  }
+
+  function handlePointerCancel(e) {
+    pointers.current.delete(e.pointerId);
+    gesture.current = null;
+  }
+
+  return (
+    <div
+      className="absolute inset-0 flex items-center justify-center touch-none select-none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+    >
+      <img
+        ref={imgRef}
+        src={url}
+        alt="Full size"
+        draggable={false}
+        className={`max-w-[95vw] max-h-full object-contain rounded ${
+          view.animate ? "transition-transform duration-200" : ""
+        }`}
+        style={{
+          transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+        }}
+      />
+    </div>
+  );
+}
+
+// Calls `onVisible` whenever it scrolls into view, for infinite lists.
+function LoadMoreSentinel({ onVisible, loading }) {
+  const ref = useRef(null);
+  const callback = useRef(onVisible);
+
+  useEffect(() => {
+    callback.current = onVisible;
+  });
+
+  // Re-observe after each load: the first callback reports the current
+  // state, so a sentinel still in view after a short month loads more.
+  useEffect(() => {
+    if (loading) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) callback.current();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [loading]);
+
+  return (
+    <div ref={ref} className="py-4 text-center text-xs text-text-muted">
+      {loading ? "Loading…" : ""}
+    </div>
+  );
+}
+
+function Highlight({ text, query }) {
+  const terms = query
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (terms.length === 0) return text;
+  const parts = text.split(new RegExp(`(${terms.join("|")})`, "gi"));
+  return parts.map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-accent/30 text-text rounded-sm px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
+
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 0];
+const MIN_PASSCODE_LENGTH = 4;
+
+function LockScreen({ onUnlock, changePending }) {
+  const [passcode, setPasscode] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await onUnlock(passcode);
+    } catch (err) {
+      setError(err.message);
+      setPasscode("");
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[350] bg-bg flex items-center justify-center p-6">
+      <form onSubmit={handleSubmit} className="max-w-xs w-full text-center">
+        <div className="text-5xl mb-3">🔒</div>
+        <h2 className="text-lg font-semibold mb-4">Meal Tracker is locked</h2>
+        {changePending && (
+          <p className="text-sm text-text-muted mb-4">
+            A passcode change didn't finish. Unlock with the old or the new
+            passcode to complete it.
+          </p>
         )}
-      </main>
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value)}
+          placeholder="Passcode"
+          className="w-full p-3 rounded-xl border border-border bg-white/5 text-text text-center outline-none focus:border-accent transition-colors"
+        />
+        {error && <p className="text-sm text-accent-light mt-2">{error}</p>}
+        <button
+          type="submit"
+          disabled={busy || !passcode}
+          className="mt-4 w-full py-3 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+        >
+          {busy
+            ? changePending
+              ? "Finishing passcode change…"
+              : "Unlocking…"
+            : "Unlock"}
+        </button>
+      </form>
+    </div>
+  );
+}
 
-      {/* FAB */}
-      <button
-        onClick={openAdd}
-        className="fixed bottom-6 right-5 w-15 h-15 rounded-full bg-accent text-white text-3xl font-light shadow-lg shadow-accent/50 z-20 flex items-center justify-center hover:scale-105 active:scale-92 transition-transform"
-      >
-        +
-      </button>
+function PasscodeSettings({
+  enabled,
+  busy,
+  autoLockMinutes,
+  onSetPasscode,
+  onDisable,
+  onAutoLockChange,
+  onLockNow,
+}) {
+  const [passcode, setPasscode] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const labelClass =
+    "block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5";
+  const inputClass =
+    "w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors";
 
-      {/* Add/Edit Modal */}
-      {showAddModal && (
-        <Modal onClose={closeAddModal}>
-          <h2 className="text-lg font-semibold">
-            {editingMeal ? "Edit Meal" : "Add Meal"}
-          </h2>
-          <form onSubmit={handleSave} className="mt-4 space-y-4">
-            <div>
-              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
-                Meal Type
-              </label>
-              <select
-                value={mealType}
-                onChange={(e) => setMealType(e.target.value)}
-                className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors appearance-none"
-              >
-                <option value="breakfast">🌅 Breakfast</option>
-                <option value="lunch">☀️ Lunch</option>
-                <option value="dinner">🌙 Dinner</option>
-                <option value="snack">🍿 Snack</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
-                Notes
-              </label>
-              <textarea
-                value={mealNotes}
-                onChange={(e) => setMealNotes(e.target.value)}
-                placeholder="What did you eat?"
-                rows={3}
-                className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors resize-y font-[inherit]"
-              />
-            </div>
-            <div>
-              <label className="block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5">
-                Photos (up to 5)
-              </label>
-              <div className="flex gap-2 flex-wrap mb-2">
-                {pendingImages.map((item, i) => (
-                  <div
-                    key={i}
-                    className="relative w-20 h-20 rounded-xl overflow-hidden shrink-0"
-                  >
-                    <img
-                      src={item.url}
-                      alt="Preview"
-                      className="w-full h-full object-cover"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => removePendingImage(i)}
-                      className="absolute top-1 right-1 w-5.5 h-5.5 rounded-full bg-black/70 text-white text-[10px] flex items-center justify-center"
-                    >
-                      ✕
-                    </button>
-                  </div>
-                ))}
-              </div>
-              {pendingImages.length < 5 && (
-                <label className="inline-flex items-center gap-1.5 px-4 py-2.5 rounded-xl border-2 border-dashed border-border text-text-muted cursor-pointer hover:border-accent hover:text-accent-light transition-colors text-sm">
-                  <span>📷 Add Photo</span>
-                  <input
-                    ref={fileInputRef}
-                    type="file"
-                    accept="image/*"
-                    multiple
-                    hidden
-                    onChange={handleImageSelect}
-                  />
-                </label>
-              )}
-            </div>
-            <div className="flex gap-2.5 pt-2">
-              <button
-                type="button"
-                onClick={closeAddModal}
-                className="flex-1 py-3.5 rounded-xl bg-border text-text font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                className="flex-1 py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
-              >
-                Save Meal
-              </button>
-            </div>
-          </form>
-        </Modal>
-      )}
+  let problem = null;
+  if (passcode.length < MIN_PASSCODE_LENGTH) {
+    problem = `Use at least ${MIN_PASSCODE_LENGTH} characters`;
+  } else if (passcode !== confirmation) {
+    problem = "Passcodes don't match";
+  }
 
-      {/* View Modal */}
-      {showViewModal && viewMeal && (
-        <Modal onClose={() => setShowViewModal(false)}>
-          <h2 className="text-lg font-semibold">
-            {getMealEmoji(viewMeal.type)}{" "}
-            {viewMeal.type.charAt(0).toUpperCase() + viewMeal.type.slice(1)}
-          </h2>
-          {viewMeal.images?.length > 0 && (
-            <div className="flex gap-2 overflow-x-auto py-3 no-scrollbar">
-              {viewMeal.images.map((blob, i) => (
-                <BlobImage
-                  key={i}
-                  blob={blob}
-                  alt="Meal photo"
-                  className="h-48 rounded-xl object-cover shrink-0 cursor-pointer hover:scale-[0.97] active:scale-[0.97] transition-transform"
-                  onClick={(url) => openLightboxFn(url)}
-                />
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!problem) onSetPasscode(passcode);
+  }
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-text-muted">
+        {enabled
+          ? "Notes and photos are encrypted with your passcode. If you forget it, they can't be recovered."
+          : "Lock the app with a passcode and encrypt meal notes and photos on this device."}
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <label className={labelClass}>
+          {enabled ? "Change passcode" : "Set passcode"}
+        </label>
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value)}
+          placeholder="New passcode"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder="Repeat passcode"
+          className={inputClass}
+        />
+        {passcode && problem && (
+          <p className="text-xs text-text-muted">{problem}</p>
+        )}
+        <button
+          type="submit"
+          disabled={busy || !!problem}
+          className="w-full py-3 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all disabled:opacity-50"
+        >
+          {busy ? "Encrypting…" : enabled ? "Change passcode" : "Turn on"}
+        </button>
+      </form>
+      {enabled && (
+        <>
+          <div>
+            <label className={labelClass}>Auto-lock</label>
+            <select
+              value={autoLockMinutes}
+              onChange={(e) => onAutoLockChange(Number(e.target.value))}
+              className="w-full p-3 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent"
+            >
+              {AUTO_LOCK_OPTIONS.map((m) => (
+                <option key={m} value={m}>
+                  {m ? `After ${m} min of inactivity` : "Only when the app starts"}
+                </option>
               ))}
-            </div>
-          )}
-          <p className="text-base leading-relaxed mt-3 whitespace-pre-wrap">
-            {viewMeal.notes || "No notes"}
-          </p>
-          <p className="text-xs text-text-muted mt-2">
-            {formatFullDate(viewMeal.date)} at {formatTime(viewMeal.timestamp)}
-          </p>
-          <div className="flex gap-2.5 mt-5">
+            </select>
+          </div>
+          <div className="flex gap-2.5">
             <button
-              onClick={handleDelete}
-              className="flex-1 py-3.5 rounded-xl bg-accent/15 text-accent-light font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              onClick={onLockNow}
+              disabled={busy}
+              className="flex-1 py-3 rounded-xl bg-white/8 font-semibold hover:bg-white/15 transition-colors"
             >
-              Delete
+              Lock now
             </button>
             <button
-              onClick={() => openEdit(viewMeal)}
-              className="flex-1 py-3.5 rounded-xl bg-accent text-white font-semibold hover:opacity-90 active:scale-[0.97] transition-all"
+              onClick={onDisable}
+              disabled={busy}
+              className="flex-1 py-3 rounded-xl bg-accent/15 text-accent-light font-semibold"
             >
-              Edit
+              Turn off
             </button>
           </div>
-        </Modal>
-      )}
-
-      {/* History Modal */}
-      {showHistoryModal && (
-        <Modal onClose={() => setShowHistoryModal(false)}>
-          <h2 className="text-lg font-semibold">📅 Meal History</h2>
-          <div className="mt-3 max-h-[65dvh] overflow-y-auto space-y-0.5">
-            {historyData.length === 0 ? (
-              <p className="text-center py-10 text-text-muted">
-                No meals logged yet
-              </p>
-            ) : (
-              historyData.map((item, i) =>
-                item.type === "month" ? (
-                  <div
-                    key={`m-${i}`}
-                    className={`text-xs font-bold text-accent uppercase tracking-widest px-4 ${
-                      i === 0 ? "pt-2 pb-2" : "pt-4 pb-2"
-                    }`}
-                  >
-                    {item.label}
-                  </div>
-                ) : (
-                  <button
-                    key={item.dateStr}
-                    onClick={() => navigateToDate(item.dateStr)}
-                    className="w-full flex items-center gap-3 px-4 py-3.5 rounded-xl bg-white/4 hover:bg-white/8 transition-colors text-left"
-                  >
-                    <span
-                      className={`font-semibold text-sm whitespace-nowrap ${
-                        item.isToday ? "text-accent-light" : ""
-                      }`}
-                    >
-                      {item.dayLabel}
-                    </span>
-                    <div className="flex flex-wrap gap-1.5 flex-1 justify-end">
-                      {item.meals.map((m) => (
-                        <span
-                          key={m.id}
-                          className="inline-flex items-center gap-1 bg-white/6 px-2.5 py-1 rounded-full text-[11px] text-text-muted whitespace-nowrap"
-                        >
-                          <span className="text-sm">
-                            {getMealEmoji(m.type)}
-                          </span>
-                          {m.type} {formatTime(m.timestamp)}
-                        </span>
-                      ))}
-                    </div>
-                    <span className="text-text-muted text-xs opacity-50 shrink-0">
-                      ▶
-                    </span>
-                  </button>
-                )
-              )
-            )}
-          </div>
-        </Modal>
-      )}
-
-      {/* Lightbox */}
-      {showLightbox && (
-        <div
-          className="fixed inset-0 z-[200] bg-black/95 flex items-center justify-center"
-          onClick={() => setShowLightbox(false)}
-        >
-          <button
-            onClick={() => setShowLightbox(false)}
-            className="absolute top-4 right-4 bg-white/10 text-white text-2xl w-11 h-11 rounded-full flex items-center justify-center z-[201]"
-          >
-            ✕
-          </button>
-          <img
-            src={lightboxUrl}
-            alt="Full size"
-            className="max-w-[95vw] max-h-[90dvh] object-contain rounded"
-          />
-        </div>
-      )}
-
-      {/* Toast */}
-      {toast && (
-        <div className="fixed bottom-24 left-1/2 -translate-x-1/2 bg-bg-card text-text px-6 py-3 rounded-full text-sm shadow-lg z-[300] animate-toast">
-          {toast}
-        </div>
+        </>
       )}
     </div>
   );
 }
 
-// ========== Sub-components ==========
+function ReminderSettings({ settings, onChange }) {
+  const labelClass =
+    "block text-xs text-text-muted font-semibold uppercase tracking-wider mb-1.5";
+  const timeClass =
+    "p-2 rounded-xl border border-border bg-white/5 text-text outline-none focus:border-accent transition-colors disabled:opacity-40";
+
+  function setMeal(type, patch) {
+    onChange({
+      ...settings,
+      meals: {
+        ...settings.meals,
+        [type]: { ...settings.meals[type], ...patch },
+      },
+    });
+  }
+
+  function toggleDay(day) {
+    const days = settings.days.includes(day)
+      ? settings.days.filter((d) => d !== day)
+      : [...settings.days, day];
+    onChange({ ...settings, days });
+  }
+
+  function setQuiet(patch) {
+    onChange({
+      ...settings,
+      quietHours: { ...settings.quietHours, ...patch },
+    });
+  }
 
-function Modal({ onClose, children }) {
   return (
-    <div className="fixed inset-0 z-[100] flex items-end justify-center">
-      <div
-        className="absolute inset-0 bg-black/60 backdrop-blur-sm"
-        onClick={onClose}
-      />
-      <div className="relative bg-bg-modal w-full max-w-[500px] max-h-[90dvh] rounded-t-2xl p-5 overflow-y-auto animate-slide-up">
-        <div className="flex justify-between items-center mb-4">
-          {children[0]}
-          <button
-            onClick={onClose}
-            className="text-text-muted text-lg p-2 rounded-lg hover:bg-border transition-colors"
-          >
-            ✕
-          </button>
+    <div className="space-y-5">
+      <div>
+        <label className={labelClass}>Reminder Times</label>
+        <div className="space-y-2">
+          {Object.keys(mealTypeEmojis).map((type) => (
+            <div key={type} className="flex items-center gap-3">
+              <label className="flex items-center gap-2 flex-1 capitalize">
+                <input
+                  type="checkbox"
+                  checked={settings.meals[type].enabled}
+                  onChange={(e) => setMeal(type, { enabled: e.target.checked })}
+                  className="accent-accent"
+                />
+                {getMealEmoji(type)} {type}
+              </label>
+              <input
+                type="time"
+                value={settings.meals[type].time}
+                disabled={!settings.meals[type].enabled}
+                onChange={(e) =>
+                  e.target.value && setMeal(type, { time: e.target.value })
+                }
+                className={timeClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>Days</label>
+        <div className="flex gap-1.5">
+          {REMINDER_DAYS.map(({ day, label }) => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`flex-1 py-2 rounded-xl text-sm font-semibold transition-colors ${
+                settings.days.includes(day)
+                  ? "bg-accent text-white"
+                  : "bg-white/5 text-text-muted"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
-        {children.slice(1)}
       </div>
+      <div>
+        <label className={labelClass}>Quiet Hours</label>
+        <div className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.quietHours.enabled}
+            onChange={(e) => setQuiet({ enabled: e.target.checked })}
+            className="accent-accent"
+          />
+          <input
+            type="time"
+            value={settings.quietHours.start}
+            disabled={!settings.quietHours.enabled}
+            onChange={(e) => e.target.value && setQuiet({ start: e.target.value })}
+            className={timeClass}
+          />
+          <span className="text-text-muted">to</span>
+          <input
+            type="time"
+            value={settings.quietHours.end}
+            disabled={!settings.quietHours.enabled}
+            onChange={(e) => e.target.value && setQuiet({ end: e.target.value })}
+            className={timeClass}
+          />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={settings.skipIfLogged}
+          onChange={(e) =>
+            onChange({ ...settings, skipIfLogged: e.target.checked })
+          }
+          className="accent-accent"
+        />
+        Skip a reminder if that meal is already logged today
+      </label>
+      {!CAN_SCHEDULE_SNOOZES && (
+        <p className="text-xs text-text-muted">
+          This browser can't schedule notifications, so a snoozed reminder
+          comes back the next time you open Meal Tracker.
+        </p>
+      )}
     </div>
   );
 }
@@ -709,7 +4396,9 @@ function MealCard({ meal, index, onClick }) {
             {getMealEmoji(meal.type)} {meal.type}
           </span>
           <span className="text-xs text-text-muted">
-            {formatTime(meal.timestamp)}
+            {meal.calories != null &&
+              `${formatNutrient(meal.calories, "kcal")} · `}
+            {formatTime(meal.eatenAt)}
           </span>
         </div>
         {meal.notes && (
@@ -722,8 +4411,6 @@ function MealCard({ meal, index, onClick }) {
   );
 }
 
-
-
 function BlobImage({ blob, alt, className, onClick, loading }) {
   const url = useMemo(() => blobToURL(blob), [blob]);
 
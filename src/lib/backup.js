@@ -0,0 +1,139 @@
+import {
+  getAllMeals,
+  getMealPhotos,
+  importMeals,
+  getTemplates,
+  importTemplates,
+  getProfiles,
+  importProfiles,
+  DB_VERSION,
+} from "./mealDB";
+import { createZip, readZip } from "./zip";
+import { formatDate } from "./helpers";
+
+const BACKUP_FORMAT = "meal-tracker-backup";
+const BACKUP_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+
+// Backups hold profiles, meals and favourites with their photos. The food
+// catalog is left out: it can run to millions of rows and comes back by
+// importing the catalog file again. Notes and photos are written decrypted,
+// so a backup is readable without the passcode.
+export async function exportBackup() {
+  // Backups cover the whole household, not just the active profile
+  const meals = await getAllMeals({ allProfiles: true });
+  const templates = await getTemplates({ allProfiles: true });
+  const profiles = await getProfiles();
+  const files = [];
+
+  async function withPhotoFiles(record) {
+    const photos = record.images?.length ? await getMealPhotos(record.id) : [];
+    const images = photos.map((blob, i) => {
+      const name = `images/${record.id}-${i}.jpg`;
+      files.push({ name, data: blob });
+      return name;
+    });
+    return { ...record, images };
+  }
+
+  const manifestMeals = [];
+  for (const meal of meals) manifestMeals.push(await withPhotoFiles(meal));
+  const manifestTemplates = [];
+  for (const template of templates) {
+    manifestTemplates.push(await withPhotoFiles(template));
+  }
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles,
+    meals: manifestMeals,
+    templates: manifestTemplates,
+  };
+  files.unshift({
+    name: MANIFEST_NAME,
+    data: JSON.stringify(manifest, null, 2),
+  });
+  const blob = await createZip(files);
+  return {
+    blob,
+    filename: `meal-tracker-backup-${formatDate(new Date())}.zip`,
+    count: meals.length,
+  };
+}
+
+function validatePhotos(record, entries) {
+  for (const name of record.images || []) {
+    if (!entries.has(name)) {
+      throw new Error(`Backup is missing photo ${name}`);
+    }
+  }
+}
+
+function validateManifest(manifest, entries) {
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not a Meal Tracker backup");
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error("This backup was made by a newer version of the app");
+  }
+  if (!Array.isArray(manifest.meals)) {
+    throw new Error("Backup manifest has no meal list");
+  }
+  manifest.meals.forEach((meal, i) => {
+    if (!meal || typeof meal.id !== "string" || !meal.id) {
+      throw new Error(`Meal #${i + 1} in backup has no id`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(meal.date || "")) {
+      throw new Error(`Meal ${meal.id} in backup has an invalid date`);
+    }
+    validatePhotos(meal, entries);
+  });
+  // Backups made before favourites were included have no list
+  if (manifest.templates !== undefined && !Array.isArray(manifest.templates)) {
+    throw new Error("Backup manifest has an invalid favourites list");
+  }
+  (manifest.templates || []).forEach((template, i) => {
+    if (!template || typeof template.id !== "string" || !template.id) {
+      throw new Error(`Favourite #${i + 1} in backup has no id`);
+    }
+    validatePhotos(template, entries);
+  });
+}
+
+export async function importBackup(file, { overwrite = false } = {}) {
+  const entries = await readZip(file);
+  const manifestEntry = entries.get(MANIFEST_NAME);
+  if (!manifestEntry) throw new Error("Backup is missing " + MANIFEST_NAME);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(await manifestEntry()));
+  } catch {
+    throw new Error("Backup manifest is not valid JSON");
+  }
+  validateManifest(manifest, entries);
+
+  async function withPhotos(record) {
+    const images = [];
+    for (const name of record.images || []) {
+      const data = await entries.get(name)();
+      images.push(new Blob([data], { type: "image/jpeg" }));
+    }
+    return { ...record, images };
+  }
+
+  const records = [];
+  for (const meal of manifest.meals) records.push(await withPhotos(meal));
+  const templates = [];
+  for (const template of manifest.templates || []) {
+    templates.push(await withPhotos(template));
+  }
+  if (Array.isArray(manifest.profiles)) {
+    await importProfiles(manifest.profiles.filter((p) => p?.id && p.name));
+  }
+  const result = await importMeals(records, { overwrite });
+  const favourites = await importTemplates(templates, { overwrite });
+  return { ...result, favourites: favourites.added + favourites.replaced };
+}
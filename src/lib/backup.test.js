@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+
+let mealDB;
+let backup;
+
+async function freshModules() {
+  vi.resetModules();
+  mealDB = await import("./mealDB");
+  backup = await import("./backup");
+}
+
+beforeEach(freshModules);
+
+function addLunch(notes) {
+  return mealDB.addMeal({
+    type: "lunch",
+    notes,
+    date: "2026-10-01",
+    eatenAt: new Date(2026, 9, 1, 12).getTime(),
+  });
+}
+
+describe("backups", () => {
+  it("restore meals and favourites into an empty database", async () => {
+    const meal = await addLunch("Soup");
+    await mealDB.addTemplate(meal);
+    const { blob, count } = await backup.exportBackup();
+    expect(count).toBe(1);
+
+    globalThis.indexedDB = new IDBFactory();
+    await freshModules();
+    const result = await backup.importBackup(blob);
+    expect(result).toMatchObject({ added: 1, favourites: 1 });
+    expect((await mealDB.getMeal(meal.id)).notes).toBe("Soup");
+    expect(await mealDB.getTemplates()).toMatchObject([
+      { sourceMealId: meal.id, notes: "Soup" },
+    ]);
+  });
+
+  it("still restore backups made without favourites", async () => {
+    const meal = await addLunch("Soup");
+    const { blob } = await backup.exportBackup();
+    const { readZip, createZip } = await import("./zip");
+    const entries = await readZip(blob);
+    const manifest = JSON.parse(
+      new TextDecoder().decode(await entries.get("manifest.json")())
+    );
+    delete manifest.templates;
+    const old = await createZip([
+      { name: "manifest.json", data: JSON.stringify(manifest) },
+    ]);
+
+    globalThis.indexedDB = new IDBFactory();
+    await freshModules();
+    expect(await backup.importBackup(old)).toMatchObject({
+      added: 1,
+      favourites: 0,
+    });
+    expect(await mealDB.getMeal(meal.id)).toBeTruthy();
+  });
+});
@@ -0,0 +1,193 @@
+import {
+  formatFullDate,
+  formatTime,
+  formatNutrient,
+  getMealEmoji,
+  sumNutrition,
+} from "./helpers";
+
+// Draws a day's meals as a PNG card for sharing: the date, a collage of the
+// meal photos and one entry per meal.
+
+const WIDTH = 1080;
+const PAD = 64;
+const GAP = 12;
+const MAX_COLLAGE_PHOTOS = 6;
+const NOTE_LINES = 3;
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+function themeColor(name) {
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue(`--color-${name}`)
+    .trim();
+}
+
+// Ends with "…" when the text needs more than `maxLines`.
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || ctx.measureText(candidate).width <= maxWidth) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  let last = lines[maxLines - 1];
+  while (last && ctx.measureText(last + "…").width > maxWidth) {
+    last = last.slice(0, -1);
+  }
+  return [...lines.slice(0, maxLines - 1), last.trimEnd() + "…"];
+}
+
+// Tiles per row: one photo fills the width, up to three share a row.
+function collageRows(count) {
+  if (count === 0) return [];
+  if (count <= 3) return [count];
+  if (count === 4) return [2, 2];
+  return [3, count - 3];
+}
+
+function drawCover(ctx, img, x, y, w, h) {
+  const scale = Math.max(w / img.width, h / img.height);
+  const sw = w / scale;
+  const sh = h / scale;
+  ctx.save();
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, 20);
+  ctx.clip();
+  ctx.drawImage(img, (img.width - sw) / 2, (img.height - sh) / 2, sw, sh, x, y, w, h);
+  ctx.restore();
+}
+
+// `photos[i]` holds the full-size photos of `meals[i]`. Each meal's cover
+// photo makes the collage before any of the extra ones.
+export async function renderDayCard(dateStr, meals, photos = []) {
+  const entries = meals
+    .map((meal, i) => ({ meal, photos: photos[i] || [] }))
+    .sort((a, b) => a.meal.eatenAt - b.meal.eatenAt);
+  const picked = [
+    ...entries.map((e) => e.photos[0]).filter(Boolean),
+    ...entries.flatMap((e) => e.photos.slice(1)),
+  ];
+  const bitmaps = await Promise.all(
+    picked.slice(0, MAX_COLLAGE_PHOTOS).map((blob) => createImageBitmap(blob))
+  );
+  const hiddenPhotos = picked.length - bitmaps.length;
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const inner = WIDTH - PAD * 2;
+  const textX = PAD + 72;
+
+  // Lay everything out first so the canvas can be sized to fit
+  let y = PAD + 24;
+  const titleY = y;
+  y += 64;
+  const subtitleY = y;
+  y += 56;
+
+  const tiles = [];
+  collageRows(bitmaps.length).forEach((perRow) => {
+    const w = (inner - GAP * (perRow - 1)) / perRow;
+    const h = perRow === 1 ? Math.round(inner * 0.6) : w;
+    for (let i = 0; i < perRow; i++) {
+      tiles.push({ x: PAD + i * (w + GAP), y, w, h });
+    }
+    y += h + GAP;
+  });
+  if (tiles.length) y += 40 - GAP;
+
+  ctx.font = `30px ${FONT}`;
+  const rows = entries.map(({ meal }) => {
+    const text =
+      meal.notes || (meal.items || []).map((item) => item.name).join(", ");
+    const row = {
+      meal,
+      y,
+      lines: text ? wrapText(ctx, text, WIDTH - PAD - textX, NOTE_LINES) : [],
+    };
+    y += 44 + row.lines.length * 40 + 28;
+    return row;
+  });
+  const footerY = y + 24;
+  canvas.width = WIDTH;
+  canvas.height = footerY + PAD;
+
+  // Draw
+  ctx.fillStyle = themeColor("bg") || "#0f0f1a";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = themeColor("accent") || "#e94560";
+  ctx.fillRect(0, 0, WIDTH, 10);
+  const text = themeColor("text") || "#eeeeee";
+  const muted = themeColor("text-muted") || "#8892b0";
+  ctx.textBaseline = "top";
+
+  ctx.fillStyle = text;
+  ctx.font = `bold 56px ${FONT}`;
+  ctx.fillText(formatFullDate(dateStr), PAD, titleY);
+  const calories = sumNutrition(meals).calories;
+  ctx.fillStyle = muted;
+  ctx.font = `30px ${FONT}`;
+  ctx.fillText(
+    `${meals.length} meal${meals.length === 1 ? "" : "s"}` +
+      (calories != null ? ` · ${formatNutrient(calories, "kcal")}` : ""),
+    PAD,
+    subtitleY
+  );
+
+  tiles.forEach((tile, i) => drawCover(ctx, bitmaps[i], tile.x, tile.y, tile.w, tile.h));
+  if (hiddenPhotos > 0) {
+    const last = tiles[tiles.length - 1];
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(last.x, last.y, last.w, last.h, 20);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `bold 64px ${FONT}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(`+${hiddenPhotos}`, last.x + last.w / 2, last.y + last.h / 2);
+    ctx.restore();
+  }
+  bitmaps.forEach((bitmap) => bitmap.close());
+
+  rows.forEach(({ meal, y: rowY, lines }) => {
+    ctx.font = `44px ${FONT}`;
+    ctx.fillText(getMealEmoji(meal.type), PAD, rowY - 4);
+    ctx.fillStyle = text;
+    ctx.font = `bold 34px ${FONT}`;
+    ctx.fillText(
+      `${meal.type.charAt(0).toUpperCase() + meal.type.slice(1)} · ${formatTime(meal.eatenAt)}`,
+      textX,
+      rowY
+    );
+    if (meal.calories != null) {
+      ctx.fillStyle = muted;
+      ctx.font = `30px ${FONT}`;
+      ctx.textAlign = "right";
+      ctx.fillText(formatNutrient(meal.calories, "kcal"), WIDTH - PAD, rowY + 2);
+      ctx.textAlign = "left";
+    }
+    ctx.fillStyle = text;
+    ctx.font = `30px ${FONT}`;
+    lines.forEach((line, i) => ctx.fillText(line, textX, rowY + 48 + i * 40));
+  });
+
+  ctx.fillStyle = muted;
+  ctx.font = `26px ${FONT}`;
+  ctx.fillText("Meal Tracker", PAD, footerY);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Failed to render day card")),
+      "image/png"
+    )
+  );
+}
@@ -0,0 +1,90 @@
+// Minimal JPEG EXIF reader: capture time and orientation only. Reads just
+// the start of the file, where the APP1 segment lives.
+
+const HEADER_BYTES = 128 * 1024;
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME = 0x0132;
+
+function readIFD(view, tiffStart, offset, little) {
+  const tags = new Map();
+  const start = tiffStart + offset;
+  if (start + 2 > view.byteLength) return tags;
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    if (type === 3) {
+      tags.set(tag, view.getUint16(entry + 8, little));
+    } else if (type === 4) {
+      tags.set(tag, view.getUint32(entry + 8, little));
+    } else if (type === 2) {
+      // ASCII values longer than 4 bytes are stored at an offset
+      const at =
+        length > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+      let str = "";
+      for (let j = 0; j < length - 1 && at + j < view.byteLength; j++) {
+        str += String.fromCharCode(view.getUint8(at + j));
+      }
+      tags.set(tag, str);
+    }
+  }
+  return tags;
+}
+
+// EXIF dates are "YYYY:MM:DD HH:MM:SS" in the camera's local time.
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(
+    value || ""
+  );
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  const date = new Date(y, mo - 1, d, h, mi, s);
+  return isNaN(date.getTime()) || y < 1990 ? null : date.getTime();
+}
+
+function parseExif(view, tiffStart) {
+  const little = view.getUint16(tiffStart) === 0x4949;
+  if (view.getUint16(tiffStart + 2, little) !== 42) return null;
+  const ifd0 = readIFD(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+  const exif = ifd0.has(TAG_EXIF_IFD)
+    ? readIFD(view, tiffStart, ifd0.get(TAG_EXIF_IFD), little)
+    : new Map();
+  return {
+    takenAt:
+      parseExifDate(exif.get(TAG_DATE_TIME_ORIGINAL)) ??
+      parseExifDate(ifd0.get(TAG_DATE_TIME)),
+    orientation: ifd0.get(TAG_ORIENTATION) || 1,
+  };
+}
+
+// Resolves to { takenAt, orientation }; takenAt is null when the file has
+// no usable EXIF date. Never rejects: unreadable files count as "no EXIF".
+export async function readExif(file) {
+  const empty = { takenAt: null, orientation: 1 };
+  try {
+    const view = new DataView(await file.slice(0, HEADER_BYTES).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return empty;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const size = view.getUint16(offset + 2);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+      if (
+        marker === 0xffe1 &&
+        offset + 10 <= view.byteLength &&
+        view.getUint32(offset + 4) === 0x45786966 // "Exif"
+      ) {
+        return parseExif(view, offset + 10) || empty;
+      }
+      offset += 2 + size;
+    }
+  } catch {
+    // fall through
+  }
+  return empty;
+}
@@ -0,0 +1,354 @@
+import { openDB, FOOD_STORE } from "./mealDB";
+import { NUTRIENTS, parseNutrient } from "./helpers";
+
+const IMPORT_BATCH_SIZE = 500;
+
+// Open Food Facts column/nutriment names for each of our nutrient keys
+const OFF_NUTRIMENTS = {
+  calories: "energy-kcal",
+  protein: "proteins",
+  carbs: "carbohydrates",
+  fat: "fat",
+  fibre: "fiber",
+};
+
+function tokenize(str) {
+  return str
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function buildFood({ id, name, servingSize, ...nutrients }) {
+  const cleanName = String(name || "").trim();
+  if (!cleanName) return null;
+  const nameLower = cleanName.toLowerCase();
+  const food = {
+    id: id || `food:${nameLower}|${servingSize || ""}`,
+    name: cleanName,
+    nameLower,
+    words: [...new Set(tokenize(cleanName))],
+    servingSize: servingSize || "",
+  };
+  NUTRIENTS.forEach(({ key }) => {
+    food[key] = parseNutrient(nutrients[key]);
+  });
+  return food;
+}
+
+export async function putFoods(foods) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(FOOD_STORE, "readwrite");
+    const store = tx.objectStore(FOOD_STORE);
+    foods.forEach((food) => store.put(food));
+    tx.oncomplete = () => resolve(foods.length);
+    tx.onerror = (e) =>
+      reject(new Error("Failed to save foods: " + e.target.error));
+  });
+}
+
+export async function countFoods() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(FOOD_STORE, "readonly");
+    const request = tx.objectStore(FOOD_STORE).count();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (e) =>
+      reject(new Error("Failed to count foods: " + e.target.error));
+  });
+}
+
+export async function searchFoods(query, limit = 10) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+  const database = await openDB();
+  // Prefix-match the longest token on the words index, then require every
+  // other token to prefix-match some word of the food name.
+  const lead = tokens.reduce((a, b) => (b.length > a.length ? b : a));
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(FOOD_STORE, "readonly");
+    const range = IDBKeyRange.bound(lead, lead + "\uffff");
+    const request = tx.objectStore(FOOD_STORE).index("words").openCursor(range);
+    const results = new Map();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || results.size >= limit) {
+        const list = [...results.values()];
+        const exact = query.trim().toLowerCase();
+        list.sort(
+          (a, b) =>
+            (b.nameLower.startsWith(exact) ? 1 : 0) -
+              (a.nameLower.startsWith(exact) ? 1 : 0) ||
+            a.name.length - b.name.length
+        );
+        resolve(list);
+        return;
+      }
+      const food = cursor.value;
+      const matches = tokens.every((t) =>
+        food.words.some((w) => w.startsWith(t))
+      );
+      if (matches) results.set(food.id, food);
+      cursor.continue();
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to search foods: " + e.target.error));
+  });
+}
+
+// ========== Catalog import ==========
+
+// Catalogs can be several GB, so they are read as a stream and parsed row by
+// row. Only whole JSON documents (an array, or an object with `products`)
+// have to be held in memory, so those are size-limited.
+const MAX_JSON_DOCUMENT_SIZE = 100 * 1024 * 1024;
+
+function detectDelimiter(firstLine) {
+  return [",", "\t", ";"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  );
+}
+
+// CSV/TSV, fed one chunk of text at a time. Quoted fields may span lines
+// and chunk boundaries.
+function createDelimitedParser(delimiter) {
+  let header = null;
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  // Just closed a quote, so a second quote is an escaped one
+  let afterQuote = false;
+  // Just ended a row on "\r", so a following "\n" belongs to it
+  let afterCR = false;
+
+  function endRow(rows) {
+    row.push(field);
+    if (row.some((f) => f !== "")) {
+      if (!header) {
+        header = row.map((h) => h.replace(/^\ufeff/, "").trim());
+      } else {
+        const values = row;
+        rows.push(Object.fromEntries(header.map((h, i) => [h, values[i]])));
+      }
+    }
+    row = [];
+    field = "";
+  }
+
+  return {
+    push(text) {
+      const rows = [];
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (afterCR && ch === "\n") {
+          afterCR = false;
+          continue;
+        }
+        afterCR = false;
+        if (inQuotes) {
+          if (ch === '"') {
+            inQuotes = false;
+            afterQuote = true;
+          } else {
+            field += ch;
+          }
+          continue;
+        }
+        if (ch === '"' && (afterQuote || field === "")) {
+          if (afterQuote) field += '"';
+          inQuotes = true;
+        } else if (ch === delimiter) {
+          row.push(field);
+          field = "";
+        } else if (ch === "\n" || ch === "\r") {
+          afterCR = ch === "\r";
+          endRow(rows);
+        } else {
+          field += ch;
+        }
+        afterQuote = false;
+      }
+      return rows;
+    },
+    end() {
+      const rows = [];
+      endRow(rows);
+      return rows;
+    },
+  };
+}
+
+// A JSON value holds one food, or a whole catalog under `products`/`foods`.
+function rowsFromJSON(value) {
+  if (Array.isArray(value)) return value;
+  return value.products || value.foods || [value];
+}
+
+// JSON Lines, as in the Open Food Facts product dump
+function createJSONLinesParser() {
+  let rest = "";
+  function parseLines(lines) {
+    return lines
+      .filter((line) => line.trim())
+      .flatMap((line) => rowsFromJSON(JSON.parse(line)));
+  }
+  return {
+    push(text) {
+      const lines = (rest + text).split(/\r?\n/);
+      rest = lines.pop();
+      return parseLines(lines);
+    },
+    end() {
+      return parseLines([rest]);
+    },
+  };
+}
+
+function createJSONDocumentParser() {
+  const parts = [];
+  let length = 0;
+  return {
+    push(text) {
+      length += text.length;
+      if (length > MAX_JSON_DOCUMENT_SIZE) {
+        throw new Error(
+          "This JSON file is too large; use JSON Lines or CSV for big catalogs"
+        );
+      }
+      parts.push(text);
+      return [];
+    },
+    end() {
+      return rowsFromJSON(JSON.parse(parts.join("")));
+    },
+  };
+}
+
+// Picks a parser from the file name and its first line.
+function createCatalogParser(firstLine, filename) {
+  const start = firstLine.trimStart();
+  if (/\.jsonl?$/i.test(filename) || /^[[{]/.test(start)) {
+    if (start.startsWith("{")) {
+      try {
+        JSON.parse(firstLine);
+        return createJSONLinesParser();
+      } catch {
+        // A pretty-printed object
+      }
+    }
+    return createJSONDocumentParser();
+  }
+  return createDelimitedParser(detectDelimiter(firstLine));
+}
+
+// Accepts our own shape ({ name, servingSize, calories, ... }) as well as
+// Open Food Facts exports, where nutriments are either nested or flattened
+// into columns like "proteins_serving" / "proteins_100g".
+function foodFromRow(row) {
+  const nutriments = { ...row, ...(row.nutriments || {}) };
+  const name = row.name || row.product_name || row.product_name_en;
+  const hasServing =
+    row.serving_size &&
+    nutriments[`${OFF_NUTRIMENTS.calories}_serving`] != null &&
+    nutriments[`${OFF_NUTRIMENTS.calories}_serving`] !== "";
+  const nutrients = {};
+  NUTRIENTS.forEach(({ key }) => {
+    const suffix = hasServing ? "serving" : "100g";
+    nutrients[key] =
+      row[key] !== undefined
+        ? row[key]
+        : nutriments[`${OFF_NUTRIMENTS[key]}_${suffix}`];
+  });
+  const isOFF = row.name === undefined;
+  let servingSize = row.servingSize || "";
+  if (!servingSize && isOFF) servingSize = hasServing ? row.serving_size : "100 g";
+  return buildFood({
+    id: isOFF && row.code ? `off:${row.code}` : row.id,
+    name,
+    servingSize,
+    ...nutrients,
+  });
+}
+
+// `onProgress` gets the bytes read so far out of the file's size.
+export async function importFoodCatalog(file, onProgress) {
+  let bytesRead = 0;
+  const reader = file
+    .stream()
+    .pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          bytesRead += chunk.byteLength;
+          controller.enqueue(chunk);
+        },
+      })
+    )
+    .pipeThrough(new TextDecoderStream())
+    .getReader();
+
+  let parser = null;
+  let head = "";
+  let batch = [];
+  let imported = 0;
+  let skipped = 0;
+
+  async function addRows(rows) {
+    for (const row of rows) {
+      const food = foodFromRow(row);
+      if (!food) {
+        skipped++;
+        continue;
+      }
+      batch.push(food);
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        imported += await putFoods(batch);
+        batch = [];
+      }
+    }
+  }
+
+  function parse(read) {
+    try {
+      return read();
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        throw new Error("Could not parse the food catalog file");
+      }
+      throw err;
+    }
+  }
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (parser) {
+        await addRows(parse(() => parser.push(value)));
+      } else {
+        // Wait for the first full line to tell the format apart
+        head += value;
+        const newline = head.search(/\r?\n/);
+        if (newline !== -1) {
+          parser = createCatalogParser(head.slice(0, newline), file.name);
+          await addRows(parse(() => parser.push(head)));
+          head = "";
+        }
+      }
+      if (onProgress) onProgress({ done: bytesRead, total: file.size });
+    }
+    if (!parser) {
+      if (!head.trim()) throw new Error("No foods with a name found in the file");
+      parser = createCatalogParser(head, file.name);
+      await addRows(parse(() => parser.push(head)));
+    }
+    await addRows(parse(() => parser.end()));
+    if (batch.length > 0) imported += await putFoods(batch);
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  if (imported === 0) {
+    throw new Error("No foods with a name found in the file");
+  }
+  return { imported, skipped };
+}
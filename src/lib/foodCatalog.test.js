@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+let foodCatalog;
+
+beforeEach(async () => {
+  vi.resetModules();
+  foodCatalog = await import("./foodCatalog");
+});
+
+// A file whose stream hands out `parts` as separate chunks, so rows and
+// escapes can be split across chunk boundaries.
+function chunkedFile(parts, name) {
+  const chunks = parts.map((part) => new TextEncoder().encode(part));
+  return {
+    name,
+    size: chunks.reduce((sum, c) => sum + c.byteLength, 0),
+    stream: () =>
+      new ReadableStream({
+        start(controller) {
+          chunks.forEach((c) => controller.enqueue(c));
+          controller.close();
+        },
+      }),
+  };
+}
+
+describe("importFoodCatalog", () => {
+  it("parses CSV rows split across chunks", async () => {
+    const file = chunkedFile(
+      [
+        "\ufeffname,servingSize,calories\r",
+        '\n"Oat ""rolled"" ',
+        'porridge",1 bowl,150\r\n"Rice,',
+        ' white",100 g,130\r',
+        "\n,1 cup,20\n",
+      ],
+      "foods.csv"
+    );
+    const progress = [];
+    const result = await foodCatalog.importFoodCatalog(file, (p) =>
+      progress.push(p)
+    );
+    expect(result).toEqual({ imported: 2, skipped: 1 });
+    expect(progress.at(-1)).toEqual({ done: file.size, total: file.size });
+
+    const [oats] = await foodCatalog.searchFoods("porridge");
+    expect(oats).toMatchObject({
+      name: 'Oat "rolled" porridge',
+      servingSize: "1 bowl",
+      calories: 150,
+    });
+    expect((await foodCatalog.searchFoods("rice"))[0].name).toBe("Rice, white");
+  });
+
+  it("reads Open Food Facts JSON Lines one line at a time", async () => {
+    const line = (code, name, kcal) =>
+      JSON.stringify({
+        code,
+        product_name: name,
+        nutriments: { "energy-kcal_100g": kcal },
+      });
+    const file = chunkedFile(
+      [
+        line("1", "Apple", 52) + "\n" + line("2", "Banana", 89).slice(0, 20),
+        line("2", "Banana", 89).slice(20) + "\n",
+      ],
+      "products.jsonl"
+    );
+    expect(await foodCatalog.importFoodCatalog(file)).toEqual({
+      imported: 2,
+      skipped: 0,
+    });
+    expect(await foodCatalog.searchFoods("banana")).toMatchObject([
+      { id: "off:2", servingSize: "100 g", calories: 89 },
+    ]);
+  });
+
+  it("reads pretty-printed JSON documents", async () => {
+    const file = chunkedFile(
+      [JSON.stringify({ foods: [{ name: "Tea", calories: 2 }] }, null, 2)],
+      "catalog.json"
+    );
+    expect(await foodCatalog.importFoodCatalog(file)).toEqual({
+      imported: 1,
+      skipped: 0,
+    });
+    expect(await foodCatalog.countFoods()).toBe(1);
+  });
+
+  it("rejects files it can't parse", async () => {
+    const file = chunkedFile(['{"name": "Tea"}\n{"name": '], "broken.jsonl");
+    await expect(foodCatalog.importFoodCatalog(file)).rejects.toThrow(
+      "Could not parse the food catalog file"
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import { getMealsInRange, forEachMealDay } from "./mealDB";
+import { formatDate } from "./helpers";
+
+const SETTINGS_KEY = "mealTracker.goals";
+
+export const DEFAULT_GOALS = {
+  types: ["breakfast", "lunch", "dinner"],
+  photoEveryMeal: false,
+};
+
+export function getGoalSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_GOALS, ...saved } : DEFAULT_GOALS;
+  } catch {
+    return DEFAULT_GOALS;
+  }
+}
+
+export function saveGoalSettings(goals) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(goals));
+}
+
+// "met" when every goal holds for the day, "partial" when something was
+// logged but not enough, "missed" when nothing was logged.
+export function evaluateDay(meals, goals) {
+  if (meals.length === 0) return "missed";
+  const logged = new Set(meals.map((m) => m.type));
+  const typesOk = goals.types.every((t) => logged.has(t));
+  const photosOk =
+    !goals.photoEveryMeal || meals.every((m) => (m.images || []).length > 0);
+  return typesOk && photosOk ? "met" : "partial";
+}
+
+export async function getGoalStatuses(startDate, endDate, goals) {
+  const meals = await getMealsInRange(startDate, endDate);
+  const byDate = new Map();
+  meals.forEach((m) => {
+    if (!byDate.has(m.date)) byDate.set(m.date, []);
+    byDate.get(m.date).push(m);
+  });
+  const statuses = new Map();
+  byDate.forEach((dayMeals, date) => {
+    statuses.set(date, evaluateDay(dayMeals, goals));
+  });
+  return statuses;
+}
+
+function nextDay(dateStr) {
+  const d = new Date(dateStr + "T12:00:00");
+  d.setDate(d.getDate() + 1);
+  return formatDate(d);
+}
+
+export async function getStreaks(goals) {
+  const metDays = [];
+  await forEachMealDay((date, meals) => {
+    if (evaluateDay(meals, goals) === "met") metDays.push(date);
+  });
+
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  metDays.forEach((date) => {
+    run = prev && nextDay(prev) === date ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = date;
+  });
+
+  // Today still counts as "in progress": a streak ending yesterday is current.
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const current =
+    prev === formatDate(today) || prev === formatDate(yesterday) ? run : 0;
+  return { current, best };
+}
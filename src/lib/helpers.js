@@ -55,6 +55,20 @@ export function formatTime(timestamp) {
   });
 }
 
+export function toTimeInputValue(timestamp) {
+  const d = new Date(timestamp);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(
+    d.getMinutes()
+  ).padStart(2, "0")}`;
+}
+
+export function combineDateTime(dateStr, time) {
+  const [h, m] = time.split(":").map(Number);
+  const d = new Date(dateStr + "T12:00:00");
+  d.setHours(h, m, 0, 0);
+  return d.getTime();
+}
+
 export function formatFullDate(dateStr) {
   return new Date(dateStr + "T12:00:00").toLocaleDateString("en-US", {
     weekday: "long",
@@ -63,6 +77,26 @@ export function formatFullDate(dateStr) {
   });
 }
 
+// "2026-10" -> "October 2026"
+export function formatMonth(monthStr) {
+  return new Date(monthStr + "-01T12:00:00").toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
 export const mealTypeEmojis = {
   breakfast: "🌅",
   lunch: "☀️",
@@ -70,12 +104,116 @@ export const mealTypeEmojis = {
   snack: "🍿",
 };
 
+export const mealTypeColors = {
+  breakfast: "#f6c453",
+  lunch: "#ff6b81",
+  dinner: "#7c83fd",
+  snack: "#4fd1c5",
+};
+
 export function getMealEmoji(type) {
   return mealTypeEmojis[type] || "🍽️";
 }
 
+export const NUTRIENTS = [
+  { key: "calories", label: "Calories", short: "kcal", unit: "kcal" },
+  { key: "protein", label: "Protein", short: "P", unit: "g" },
+  { key: "carbs", label: "Carbs", short: "C", unit: "g" },
+  { key: "fat", label: "Fat", short: "F", unit: "g" },
+  { key: "fibre", label: "Fibre", short: "Fi", unit: "g" },
+];
+
+export function parseNutrient(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function hasNutrition(meal) {
+  return NUTRIENTS.some(({ key }) => meal[key] != null);
+}
+
+export function sumNutrition(meals) {
+  const totals = {};
+  NUTRIENTS.forEach(({ key }) => {
+    const values = meals.map((m) => m[key]).filter((v) => v != null);
+    totals[key] = values.length
+      ? Math.round(values.reduce((a, b) => a + b, 0) * 10) / 10
+      : null;
+  });
+  return totals;
+}
+
+export function sumItems(items) {
+  return sumNutrition(
+    items.map((item) => {
+      const scaled = {};
+      NUTRIENTS.forEach(({ key }) => {
+        scaled[key] = item[key] != null ? item[key] * item.servings : null;
+      });
+      return scaled;
+    })
+  );
+}
+
+export function formatNutrient(value, unit) {
+  if (value == null) return "–";
+  const n = Math.round(value * 10) / 10;
+  return unit === "kcal" ? `${Math.round(n)} kcal` : `${n}${unit}`;
+}
+
 export function escapeHTML(str) {
   const div = document.createElement("div");
   div.textContent = str;
   return div.innerHTML;
 }
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function groupMealsByDay(allMeals) {
+  const grouped = {};
+  allMeals.forEach((meal) => {
+    if (!grouped[meal.date]) grouped[meal.date] = [];
+    grouped[meal.date].push(meal);
+  });
+  const sorted = Object.keys(grouped).sort((a, b) => b.localeCompare(a));
+  const data = [];
+  let currentMonth = "";
+  sorted.forEach((dateStr) => {
+    const dateObj = new Date(dateStr + "T12:00:00");
+    const monthKey = dateObj.toLocaleDateString("en-US", {
+      month: "long",
+      year: "numeric",
+    });
+    if (monthKey !== currentMonth) {
+      currentMonth = monthKey;
+      data.push({ type: "month", label: monthKey });
+    }
+    const meals = grouped[dateStr].sort((a, b) => a.eatenAt - b.eatenAt);
+    const dayLabel = isToday(dateObj)
+      ? "Today"
+      : dateObj.toLocaleDateString("en-US", {
+          weekday: "short",
+          day: "numeric",
+          month: "short",
+        });
+    data.push({
+      type: "day",
+      dateStr,
+      dayLabel,
+      isToday: isToday(dateObj),
+      meals,
+      totals: meals.some(hasNutrition) ? sumNutrition(meals) : null,
+    });
+  });
+  return data;
+}
@@ -1,60 +1,434 @@
+import {
+  formatDate,
+  formatFullDate,
+  formatTime,
+  toTimeInputValue,
+  combineDateTime,
+  NUTRIENTS,
+  parseNutrient,
+} from "./helpers";
+import { DBBlockedError, rewriteRecords, runMigrations } from "./migrations";
+import { readExif } from "./exif";
+import {
+  sealRecord,
+  openRecord,
+  openRecords,
+  beginPasscodeChange,
+  commitPasscodeChange,
+  getPendingKeyId,
+  isSealedWith,
+  setResealing,
+} from "./passcode";
+
 const DB_NAME = "MealTrackerDB";
-const DB_VERSION = 1;
 const STORE_NAME = "meals";
+export const FOOD_STORE = "foods";
+const TEMPLATE_STORE = "templates";
+const PROFILE_STORE = "profiles";
+const PHOTO_STORE = "photos";
+export const PHOTO_MAX_WIDTH = 800;
+export const PHOTO_QUALITY = 0.7;
+const THUMB_WIDTH = 240;
+const THUMB_QUALITY = 0.6;
+const ACTIVE_PROFILE_KEY = "mealTracker.activeProfile";
+export const DEFAULT_PROFILE_ID = "default";
+const RESEAL_BATCH = 25;
+
+// Append new schema changes here; never edit a migration once released.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create meals store",
+    migrate({ database }) {
+      const store = database.createObjectStore(STORE_NAME, { keyPath: "id" });
+      store.createIndex("timestamp", "timestamp", { unique: false });
+      store.createIndex("date", "date", { unique: false });
+      store.createIndex("type", "type", { unique: false });
+    },
+  },
+  {
+    version: 2,
+    description: "Add nutrition fields to meals",
+    migrate: (ctx) =>
+      rewriteRecords(ctx, STORE_NAME, (meal) => ({
+        ...meal,
+        ...nutritionFields(meal),
+      })),
+  },
+  {
+    version: 3,
+    description: "Create food catalog store",
+    migrate({ database }) {
+      const foods = database.createObjectStore(FOOD_STORE, { keyPath: "id" });
+      foods.createIndex("name", "nameLower", { unique: false });
+      foods.createIndex("words", "words", { unique: false, multiEntry: true });
+    },
+  },
+  {
+    version: 4,
+    description: "Add tags to meals",
+    async migrate(ctx) {
+      ctx.tx
+        .objectStore(STORE_NAME)
+        .createIndex("tags", "tags", { unique: false, multiEntry: true });
+      await rewriteRecords(ctx, STORE_NAME, (meal) =>
+        meal.tags ? undefined : { ...meal, tags: [] }
+      );
+    },
+  },
+  {
+    version: 5,
+    description: "Create favourite meal templates store",
+    migrate({ database }) {
+      const templates = database.createObjectStore(TEMPLATE_STORE, {
+        keyPath: "id",
+      });
+      templates.createIndex("sourceMealId", "sourceMealId", { unique: false });
+    },
+  },
+  {
+    version: 6,
+    description: "Separate eaten-at time from record timestamps",
+    async migrate(ctx) {
+      const store = ctx.tx.objectStore(STORE_NAME);
+      store.deleteIndex("timestamp");
+      store.createIndex("eatenAt", "eatenAt", { unique: false });
+      await rewriteRecords(ctx, STORE_NAME, (meal) =>
+        meal.eatenAt ? undefined : withEatenAt(meal)
+      );
+    },
+  },
+  {
+    version: 7,
+    description: "Index trashed meals",
+    migrate({ tx }) {
+      tx.objectStore(STORE_NAME).createIndex("deletedAt", "deletedAt", {
+        unique: false,
+      });
+    },
+  },
+  {
+    version: 8,
+    description: "Add household profiles",
+    async migrate(ctx) {
+      const { database, tx } = ctx;
+      database
+        .createObjectStore(PROFILE_STORE, { keyPath: "id" })
+        .add({ id: DEFAULT_PROFILE_ID, name: "Me", emoji: "🙂", createdAt: 0 });
+      const meals = tx.objectStore(STORE_NAME);
+      meals.createIndex("profileId", "profileId", { unique: false });
+      meals.createIndex("profileDate", ["profileId", "date"], {
+        unique: false,
+      });
+      const assignDefault = (record) =>
+        record.profileId ? undefined : { ...record, profileId: DEFAULT_PROFILE_ID };
+      await rewriteRecords(ctx, STORE_NAME, assignDefault);
+      await rewriteRecords(ctx, TEMPLATE_STORE, assignDefault);
+    },
+  },
+  {
+    version: 9,
+    description: "Move full-size photos to their own store",
+    async migrate(ctx) {
+      const { database, tx } = ctx;
+      const photos = database.createObjectStore(PHOTO_STORE, {
+        keyPath: "ownerId",
+      });
+      // Thumbnails need a canvas, which can't be awaited inside the upgrade
+      // transaction: records keep their full images as stand-ins and are
+      // flagged for generatePendingThumbnails().
+      const moveImages = (record) => {
+        if (!(record.images || []).length) return undefined;
+        photos.put({ ownerId: record.id, images: record.images });
+        return { ...record, thumbnailsPending: 1 };
+      };
+      for (const storeName of [STORE_NAME, TEMPLATE_STORE]) {
+        tx.objectStore(storeName).createIndex(
+          "thumbnailsPending",
+          "thumbnailsPending",
+          { unique: false }
+        );
+        await rewriteRecords(ctx, storeName, moveImages);
+      }
+    },
+  },
+  {
+    version: 10,
+    description: "Index meal summaries for the history list",
+    async migrate(ctx) {
+      ctx.tx
+        .objectStore(STORE_NAME)
+        .createIndex("daySummary", ["profileId", "date", "summary"], {
+          unique: false,
+        });
+      await rewriteRecords(ctx, STORE_NAME, withSummary);
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
 let db = null;
+let dbPromise = null;
 
-export function openDB() {
-  return new Promise((resolve, reject) => {
-    if (db) return resolve(db);
+export function openDB({ onUpgradeProgress } = {}) {
+  if (db) return Promise.resolve(db);
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let upgradeError = null;
     request.onupgradeneeded = (e) => {
-      const database = e.target.result;
-      if (!database.objectStoreNames.contains(STORE_NAME)) {
-        const store = database.createObjectStore(STORE_NAME, { keyPath: "id" });
-        store.createIndex("timestamp", "timestamp", { unique: false });
-        store.createIndex("date", "date", { unique: false });
-        store.createIndex("type", "type", { unique: false });
-      }
+      runMigrations(e, MIGRATIONS, onUpgradeProgress).catch((err) => {
+        upgradeError = err;
+      });
     };
+    request.onblocked = () => reject(new DBBlockedError());
     request.onsuccess = (e) => {
       db = e.target.result;
+      // Let a newer version in another tab upgrade instead of being blocked
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+        dbPromise = null;
+      };
       resolve(db);
     };
     request.onerror = (e) =>
-      reject(new Error("Failed to open database: " + e.target.error));
+      reject(
+        upgradeError ||
+          new Error("Failed to open database: " + e.target.error)
+      );
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+// ========== Profiles ==========
+
+let activeProfileId =
+  localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILE_ID;
+
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+export function setActiveProfileId(id) {
+  activeProfileId = id;
+  localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+}
+
+export async function getProfiles() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(PROFILE_STORE, "readonly");
+    const request = tx.objectStore(PROFILE_STORE).getAll();
+    request.onsuccess = () => {
+      const profiles = request.result || [];
+      profiles.sort((a, b) => a.createdAt - b.createdAt);
+      resolve(profiles);
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to get profiles: " + e.target.error));
+  });
+}
+
+// A saved or launch-requested profile may since have been deleted; fall
+// back to the default profile (or the oldest one if that is gone too).
+export async function resolveActiveProfile() {
+  const profiles = await getProfiles();
+  if (!profiles.some((p) => p.id === activeProfileId)) {
+    const fallback =
+      profiles.find((p) => p.id === DEFAULT_PROFILE_ID) || profiles[0];
+    if (fallback) setActiveProfileId(fallback.id);
+  }
+  return { profiles, activeId: activeProfileId };
+}
+
+export async function saveProfile(profile) {
+  const database = await openDB();
+  const record = {
+    id: profile.id || generateId(),
+    name: profile.name.trim() || "Unnamed",
+    emoji: profile.emoji || "🙂",
+    createdAt: profile.createdAt ?? Date.now(),
+  };
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(PROFILE_STORE, "readwrite");
+    const request = tx.objectStore(PROFILE_STORE).put(record);
+    request.onsuccess = () => resolve(record);
+    request.onerror = (e) =>
+      reject(new Error("Failed to save profile: " + e.target.error));
+  });
+}
+
+// Deletes a profile together with all of its meals and favourites.
+export async function deleteProfile(id) {
+  const profiles = await getProfiles();
+  if (profiles.length <= 1) throw new Error("Can't delete the last profile");
+  const database = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = database.transaction(
+      [PROFILE_STORE, STORE_NAME, TEMPLATE_STORE, PHOTO_STORE],
+      "readwrite"
+    );
+    const photos = tx.objectStore(PHOTO_STORE);
+    tx.objectStore(PROFILE_STORE).delete(id);
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("profileId")
+      .openCursor(id);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      photos.delete(cursor.primaryKey);
+      cursor.delete();
+      cursor.continue();
+    };
+    const templates = tx.objectStore(TEMPLATE_STORE).openCursor();
+    templates.onsuccess = () => {
+      const cursor = templates.result;
+      if (!cursor) return;
+      if (cursor.value.profileId === id) {
+        photos.delete(cursor.primaryKey);
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) =>
+      reject(new Error("Failed to delete profile: " + e.target.error));
   });
+  if (activeProfileId === id) {
+    setActiveProfileId(profiles.find((p) => p.id !== id).id);
+  }
+}
+
+export async function importProfiles(profiles) {
+  const existing = new Set((await getProfiles()).map((p) => p.id));
+  for (const profile of profiles) {
+    if (!existing.has(profile.id)) await saveProfile(profile);
+  }
+}
+
+function profileRange(profileId, startDate = "", endDate = "\uffff") {
+  return IDBKeyRange.bound([profileId, startDate], [profileId, endDate]);
 }
 
 function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 }
 
-function compressImage(file, maxWidth = 800, quality = 0.7) {
+function nutritionFields(source, fallback = {}) {
+  const fields = {};
+  NUTRIENTS.forEach(({ key }) => {
+    fields[key] =
+      source[key] !== undefined
+        ? parseNutrient(source[key])
+        : parseNutrient(fallback[key]);
+  });
+  return fields;
+}
+
+function itemFields(items) {
+  return (items || [])
+    .filter((item) => item && item.name)
+    .map((item) => ({
+      foodId: item.foodId || null,
+      name: String(item.name),
+      servingSize: item.servingSize || "",
+      servings: parseNutrient(item.servings) ?? 1,
+      ...nutritionFields(item),
+    }));
+}
+
+// Trashed meals keep a `deletedAt` timestamp until restored or purged, and
+// are left out of every list read below.
+function isLive(meal) {
+  return !meal.deletedAt;
+}
+
+function isActiveProfile(meal) {
+  return meal.profileId === activeProfileId;
+}
+
+// Pre-v6 records only have `timestamp` (creation time). Keep it as
+// created/updated time and assume the meal was eaten at that time of day on
+// its `date`, which differs when it was logged after the fact.
+function withEatenAt(meal) {
+  const { timestamp, ...rest } = meal;
+  const created = timestamp || Date.now();
+  return {
+    ...rest,
+    eatenAt:
+      formatDate(created) === meal.date
+        ? created
+        : combineDateTime(meal.date, toTimeInputValue(created)),
+    createdAt: created,
+    updatedAt: created,
+  };
+}
+
+// The History list reads meals through the "daySummary" index with a key
+// cursor, so it never loads records (or their photos). Trashed meals carry
+// no summary and so drop out of that index.
+function withSummary(meal) {
+  const { summary: _, ...rest } = meal;
+  if (meal.deletedAt) return rest;
+  return {
+    ...rest,
+    summary: [
+      meal.eatenAt,
+      meal.type,
+      ...NUTRIENTS.map(({ key }) => meal[key] ?? ""),
+    ],
+  };
+}
+
+function fromSummary(id, [profileId, date, summary]) {
+  const [eatenAt, type, ...nutrients] = summary;
+  return {
+    id,
+    profileId,
+    date,
+    eatenAt,
+    type,
+    ...Object.fromEntries(
+      NUTRIENTS.map(({ key }, i) => [key, nutrients[i] === "" ? null : nutrients[i]])
+    ),
+  };
+}
+
+// Brings records from older backups up to the current shape.
+function normalizeMeal(meal) {
+  const record = meal.eatenAt ? { ...meal } : withEatenAt(meal);
+  return withSummary({
+    ...record,
+    profileId: record.profileId || activeProfileId,
+    type: record.type || "snack",
+    notes: record.notes || "",
+    items: itemFields(record.items),
+    tags: normalizeTags(record.tags),
+    ...nutritionFields(record),
+  });
+}
+
+function normalizeTags(tags) {
+  const result = [];
+  for (const tag of tags || []) {
+    const t = String(tag).trim().replace(/\s+/g, " ").toLowerCase();
+    if (t && !result.includes(t)) result.push(t);
+  }
+  return result;
+}
+
+function loadImage(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement("canvas");
-        let width = img.width,
-          height = img.height;
-        if (width > maxWidth) {
-          height = (height * maxWidth) / width;
-          width = maxWidth;
-        }
-        canvas.width = width;
-        canvas.height = height;
-        canvas.getContext("2d").drawImage(img, 0, 0, width, height);
-        canvas.toBlob(
-          (blob) =>
-            blob
-              ? resolve(blob)
-              : reject(new Error("Failed to compress image")),
-          "image/jpeg",
-          quality
-        );
-      };
+      img.onload = () => resolve(img);
       img.onerror = () => reject(new Error("Failed to load image"));
       img.src = e.target.result;
     };
@@ -63,25 +437,125 @@ function compressImage(file, maxWidth = 800, quality = 0.7) {
   });
 }
 
+// Current browsers already apply EXIF orientation when decoding; older
+// ones need the rotation done by hand.
+const BROWSER_APPLIES_ORIENTATION =
+  typeof CSS !== "undefined" && CSS.supports?.("image-orientation", "from-image");
+
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w],
+};
+
+function renderJpeg(img, maxWidth, quality, orientation = 1) {
+  return new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    const transform =
+      !BROWSER_APPLIES_ORIENTATION && ORIENTATION_TRANSFORMS[orientation];
+    const sideways = transform && orientation >= 5;
+    let width = sideways ? img.height : img.width,
+      height = sideways ? img.width : img.height;
+    if (width > maxWidth) {
+      height = (height * maxWidth) / width;
+      width = maxWidth;
+    }
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    // Draw dimensions are in the image's stored (unrotated) orientation
+    const drawWidth = sideways ? height : width;
+    const drawHeight = sideways ? width : height;
+    if (transform) ctx.transform(...transform(drawWidth, drawHeight));
+    ctx.drawImage(img, 0, 0, drawWidth, drawHeight);
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Failed to compress image")),
+      "image/jpeg",
+      quality
+    );
+  });
+}
+
+async function compressImage(file) {
+  // Read before drawing: the canvas output carries no EXIF
+  const { orientation } = await readExif(file);
+  const img = await loadImage(file);
+  return {
+    full: await renderJpeg(img, PHOTO_MAX_WIDTH, PHOTO_QUALITY, orientation),
+    thumb: await renderJpeg(img, THUMB_WIDTH, THUMB_QUALITY, orientation),
+  };
+}
+
+// Re-encodes a stored photo without rendering a thumbnail alongside it.
+async function recompressFullImage(blob, maxWidth, quality) {
+  const { orientation } = await readExif(blob);
+  return renderJpeg(await loadImage(blob), maxWidth, quality, orientation);
+}
+
+async function makeThumbnail(blob) {
+  return renderJpeg(await loadImage(blob), THUMB_WIDTH, THUMB_QUALITY);
+}
+
+// Meal and favourite records keep only thumbnails in `images`; the full
+// photos live in PHOTO_STORE under the owner's id. Accepts new uploads
+// (Files), already-compressed Blobs and { full, thumb } pairs.
+async function preparePhotos(images = []) {
+  const thumbs = [];
+  const fulls = [];
+  for (const img of images) {
+    let photo = img;
+    if (img instanceof File) photo = await compressImage(img);
+    else if (img instanceof Blob) {
+      photo = { full: img, thumb: await makeThumbnail(img) };
+    }
+    thumbs.push(photo.thumb);
+    fulls.push(photo.full);
+  }
+  return { thumbs, fulls };
+}
+
+async function sealPhotos(ownerId, fulls) {
+  return fulls.length ? sealRecord({ ownerId, images: fulls }) : null;
+}
+
+function writePhotos(tx, ownerId, sealedPhotos) {
+  const store = tx.objectStore(PHOTO_STORE);
+  if (sealedPhotos) store.put(sealedPhotos);
+  else store.delete(ownerId);
+}
+
 export async function addMeal(meal) {
   const database = await openDB();
-  const compressedImages = [];
-  for (const img of meal.images || []) {
-    compressedImages.push(await compressImage(img));
-  }
-  const record = {
+  const { thumbs, fulls } = await preparePhotos(meal.images);
+  const date = meal.date || formatDate(new Date());
+  const now = Date.now();
+  const record = withSummary({
     id: generateId(),
+    profileId: meal.profileId || activeProfileId,
     type: meal.type || "snack",
     notes: meal.notes || "",
-    images: compressedImages,
-    timestamp: Date.now(),
-    date: meal.date || new Date().toISOString().split("T")[0],
-  };
+    images: thumbs,
+    items: itemFields(meal.items),
+    tags: normalizeTags(meal.tags),
+    ...nutritionFields(meal),
+    eatenAt: meal.eatenAt || combineDateTime(date, toTimeInputValue(now)),
+    createdAt: now,
+    updatedAt: now,
+    date,
+  });
+  const stored = await sealRecord(record);
+  const storedPhotos = await sealPhotos(record.id, fulls);
   return new Promise((resolve, reject) => {
-    const tx = database.transaction(STORE_NAME, "readwrite");
-    const request = tx.objectStore(STORE_NAME).add(record);
-    request.onsuccess = () => resolve(record);
-    request.onerror = (e) =>
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readwrite");
+    tx.objectStore(STORE_NAME).add(stored);
+    writePhotos(tx, record.id, storedPhotos);
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (e) =>
       reject(new Error("Failed to add meal: " + e.target.error));
   });
 }
@@ -90,46 +564,88 @@ export async function updateMeal(meal) {
   const database = await openDB();
   const existing = await getMeal(meal.id);
   if (!existing) throw new Error("Meal not found");
-  const processedImages = [];
-  for (const img of meal.images || []) {
-    processedImages.push(img instanceof File ? await compressImage(img) : img);
-  }
-  const updated = {
+  const { thumbs, fulls } = await preparePhotos(meal.images);
+  const date = meal.date || existing.date;
+  // Moving a meal to another day keeps its time of day
+  const eatenAt =
+    meal.eatenAt ||
+    (date !== existing.date
+      ? combineDateTime(date, toTimeInputValue(existing.eatenAt))
+      : existing.eatenAt);
+  const updated = withSummary({
     ...existing,
     type: meal.type !== undefined ? meal.type : existing.type,
     notes: meal.notes !== undefined ? meal.notes : existing.notes,
-    images: processedImages,
-    date: meal.date || existing.date,
-  };
+    images: thumbs,
+    items: itemFields(meal.items !== undefined ? meal.items : existing.items),
+    tags: normalizeTags(meal.tags !== undefined ? meal.tags : existing.tags),
+    ...nutritionFields(meal, existing),
+    eatenAt,
+    updatedAt: Date.now(),
+    date,
+  });
+  const stored = await sealRecord(updated);
+  const storedPhotos = await sealPhotos(updated.id, fulls);
   return new Promise((resolve, reject) => {
-    const tx = database.transaction(STORE_NAME, "readwrite");
-    const request = tx.objectStore(STORE_NAME).put(updated);
-    request.onsuccess = () => resolve(updated);
-    request.onerror = (e) =>
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readwrite");
+    tx.objectStore(STORE_NAME).put(stored);
+    writePhotos(tx, updated.id, storedPhotos);
+    tx.oncomplete = () => resolve(updated);
+    tx.onerror = (e) =>
       reject(new Error("Failed to update meal: " + e.target.error));
   });
 }
 
+// Reorders or drops a meal's photos without recompressing them. `order`
+// lists the indexes of the photos to keep, cover photo first.
+export async function arrangeMealPhotos(id, order) {
+  const meal = await getMeal(id);
+  if (!meal) throw new Error("Meal not found");
+  const photos = pairPhotos(meal.images || [], await getMealPhotos(id));
+  return updateMeal({ id, images: order.map((i) => photos[i]) });
+}
+
 export async function getMeal(id) {
   const database = await openDB();
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_NAME, "readonly");
     const request = tx.objectStore(STORE_NAME).get(id);
-    request.onsuccess = () => resolve(request.result || null);
+    request.onsuccess = () => resolve(openRecord(request.result || null));
     request.onerror = (e) =>
       reject(new Error("Failed to get meal: " + e.target.error));
   });
 }
 
-export async function getMealsByDate(dateStr) {
+// Full-size photos for a meal or favourite, in the same order as its
+// thumbnails.
+export async function getMealPhotos(ownerId) {
+  const database = await openDB();
+  const record = await new Promise((resolve, reject) => {
+    const tx = database.transaction(PHOTO_STORE, "readonly");
+    const request = tx.objectStore(PHOTO_STORE).get(ownerId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = (e) =>
+      reject(new Error("Failed to get photos: " + e.target.error));
+  });
+  return record ? (await openRecord(record)).images : [];
+}
+
+function pairPhotos(thumbs, fulls) {
+  return thumbs.map((thumb, i) => ({ thumb, full: fulls[i] || thumb }));
+}
+
+export async function getMealsByDate(dateStr, profileId = activeProfileId) {
   const database = await openDB();
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_NAME, "readonly");
-    const request = tx.objectStore(STORE_NAME).index("date").getAll(dateStr);
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("profileDate")
+      .getAll([profileId, dateStr]);
     request.onsuccess = () => {
-      const meals = request.result || [];
-      meals.sort((a, b) => b.timestamp - a.timestamp);
-      resolve(meals);
+      const meals = (request.result || []).filter(isLive);
+      meals.sort((a, b) => b.eatenAt - a.eatenAt);
+      resolve(openRecords(meals));
     };
     request.onerror = (e) =>
       reject(new Error("Failed to get meals: " + e.target.error));
@@ -140,40 +656,768 @@ export async function getMealsInRange(startDate, endDate) {
   const database = await openDB();
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_NAME, "readonly");
-    const range = IDBKeyRange.bound(startDate, endDate);
-    const request = tx.objectStore(STORE_NAME).index("date").getAll(range);
+    const range = profileRange(activeProfileId, startDate, endDate);
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("profileDate")
+      .getAll(range);
     request.onsuccess = () => {
-      const meals = request.result || [];
-      meals.sort((a, b) => b.timestamp - a.timestamp);
-      resolve(meals);
+      const meals = (request.result || []).filter(isLive);
+      meals.sort((a, b) => b.eatenAt - a.eatenAt);
+      resolve(openRecords(meals));
     };
     request.onerror = (e) =>
       reject(new Error("Failed to get meals: " + e.target.error));
   });
 }
 
-export async function deleteMeal(id) {
+function toCSVField(value) {
+  const str = String(value ?? "");
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export async function exportMealsInRange(startDate, endDate, format = "csv") {
+  const meals = await getMealsInRange(startDate, endDate);
+  meals.sort(
+    (a, b) => a.date.localeCompare(b.date) || a.eatenAt - b.eatenAt
+  );
+  const filename = `meals-${startDate}-to-${endDate}.${format}`;
+
+  if (format === "json") {
+    const rows = meals.map((m) => ({
+      id: m.id,
+      date: m.date,
+      day: formatFullDate(m.date),
+      time: formatTime(m.eatenAt),
+      eatenAt: new Date(m.eatenAt).toISOString(),
+      type: m.type,
+      notes: m.notes,
+      photoCount: (m.images || []).length,
+      ...nutritionFields(m),
+    }));
+    const json = JSON.stringify({ startDate, endDate, meals: rows }, null, 2);
+    return {
+      blob: new Blob([json], { type: "application/json" }),
+      filename,
+      count: meals.length,
+    };
+  }
+
+  const header = [
+    "Date",
+    "Day",
+    "Time",
+    "Type",
+    "Notes",
+    "Photos",
+    ...NUTRIENTS.map((n) => `${n.label} (${n.unit})`),
+  ];
+  const rows = meals.map((m) => [
+    m.date,
+    formatFullDate(m.date),
+    formatTime(m.eatenAt),
+    m.type,
+    m.notes,
+    (m.images || []).length,
+    ...NUTRIENTS.map((n) => m[n.key]),
+  ]);
+  const lines = [header, ...rows].map((row) =>
+    row.map(toCSVField).join(",")
+  );
+  // BOM so spreadsheet apps detect UTF-8 (emoji, accents in notes)
+  const csv = "\ufeff" + lines.join("\r\n") + "\r\n";
+  return {
+    blob: new Blob([csv], { type: "text/csv;charset=utf-8" }),
+    filename,
+    count: meals.length,
+  };
+}
+
+export async function logMealAgain(id, date) {
+  const meal = await getMeal(id);
+  if (!meal) throw new Error("Meal not found");
+  return addMeal({
+    ...meal,
+    images: pairPhotos(meal.images, await getMealPhotos(id)),
+    date,
+    eatenAt: combineDateTime(date, toTimeInputValue(Date.now())),
+  });
+}
+
+async function setDeletedAt(id, deletedAt) {
   const database = await openDB();
+  const meal = await getMeal(id);
+  if (!meal) throw new Error("Meal not found");
+  const { deletedAt: _, ...rest } = meal;
+  const updated = withSummary(deletedAt ? { ...rest, deletedAt } : rest);
+  const stored = await sealRecord(updated);
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_NAME, "readwrite");
-    const request = tx.objectStore(STORE_NAME).delete(id);
-    request.onsuccess = () => resolve(true);
+    const request = tx.objectStore(STORE_NAME).put(stored);
+    request.onsuccess = () => resolve(updated);
     request.onerror = (e) =>
+      reject(new Error("Failed to update meal: " + e.target.error));
+  });
+}
+
+export function trashMeal(id) {
+  return setDeletedAt(id, Date.now());
+}
+
+export function restoreMeal(id) {
+  return setDeletedAt(id, null);
+}
+
+export async function getTrashedMeals() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const request = tx.objectStore(STORE_NAME).index("deletedAt").getAll();
+    request.onsuccess = () => {
+      const meals = (request.result || []).filter(isActiveProfile);
+      meals.sort((a, b) => b.deletedAt - a.deletedAt);
+      resolve(openRecords(meals));
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to get trash: " + e.target.error));
+  });
+}
+
+// Permanently deletes meals trashed before `before` (all of them if
+// omitted), across every profile unless `profileId` is given.
+export async function purgeTrash({ before = Infinity, profileId = null } = {}) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readwrite");
+    const photos = tx.objectStore(PHOTO_STORE);
+    const index = tx.objectStore(STORE_NAME).index("deletedAt");
+    const range =
+      before === Infinity ? null : IDBKeyRange.upperBound(before, true);
+    const request = index.openCursor(range);
+    let purged = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (profileId && cursor.value.profileId !== profileId) {
+        cursor.continue();
+        return;
+      }
+      photos.delete(cursor.primaryKey);
+      cursor.delete();
+      purged++;
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(purged);
+    tx.onerror = (e) =>
+      reject(new Error("Failed to empty trash: " + e.target.error));
+  });
+}
+
+export async function deleteMeal(id) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readwrite");
+    tx.objectStore(STORE_NAME).delete(id);
+    tx.objectStore(PHOTO_STORE).delete(id);
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = (e) =>
       reject(new Error("Failed to delete meal: " + e.target.error));
+    tx.onabort = () =>
+      reject(new Error("Failed to delete meal: " + tx.error));
+  });
+}
+
+// Loads the newest month before `beforeMonth` ("YYYY-MM", exclusive) that
+// has meals, as lightweight summaries without notes or photos. Resolves to
+// null when there are no older meals.
+export async function getHistoryMonth(beforeMonth = "\uffff") {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const index = tx.objectStore(STORE_NAME).index("daySummary");
+    const pid = activeProfileId;
+    const latest = index.openKeyCursor(
+      IDBKeyRange.bound([pid, ""], [pid, beforeMonth], false, true),
+      "prev"
+    );
+    latest.onsuccess = () => {
+      if (!latest.result) return resolve(null);
+      const month = latest.result.key[1].slice(0, 7);
+      resolve(getMonthSummaries(month).then((meals) => ({ month, meals })));
+    };
+    latest.onerror = (e) =>
+      reject(new Error("Failed to read history: " + e.target.error));
   });
 }
 
-export async function getAllMeals() {
+// Summaries (no notes or photos) of the live meals in one month.
+export async function getMonthSummaries(month) {
   const database = await openDB();
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORE_NAME, "readonly");
-    const request = tx.objectStore(STORE_NAME).getAll();
-    request.onsuccess = () => resolve(request.result || []);
+    const pid = activeProfileId;
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("daySummary")
+      .openKeyCursor(IDBKeyRange.bound([pid, month], [pid, month + "\uffff"]));
+    const meals = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(meals);
+      meals.push(fromSummary(cursor.primaryKey, cursor.key));
+      cursor.continue();
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to read history: " + e.target.error));
+  });
+}
+
+// Months ("YYYY-MM") with meals, newest first. Seeks past each month rather
+// than visiting every meal.
+export async function getHistoryMonths() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const pid = activeProfileId;
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("daySummary")
+      .openKeyCursor(profileRange(pid), "prev");
+    const months = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(months);
+      const month = cursor.key[1].slice(0, 7);
+      months.push(month);
+      cursor.continue([pid, month]);
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to read history: " + e.target.error));
+  });
+}
+
+export async function getAllMeals({ allProfiles = false } = {}) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const store = tx.objectStore(STORE_NAME);
+    const request = allProfiles
+      ? store.getAll()
+      : store.index("profileId").getAll(activeProfileId);
+    request.onsuccess = () =>
+      resolve(openRecords((request.result || []).filter(isLive)));
     request.onerror = (e) =>
       reject(new Error("Failed to get all meals: " + e.target.error));
   });
 }
 
+export async function searchMeals({
+  query = "",
+  type = "",
+  startDate = "",
+  endDate = "",
+  hasPhotos = false,
+} = {}) {
+  const database = await openDB();
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const index = tx.objectStore(STORE_NAME).index("profileDate");
+    const request = index.getAll(
+      profileRange(activeProfileId, startDate || "", endDate || "\uffff")
+    );
+    request.onsuccess = () => {
+      const candidates = (request.result || []).filter(
+        (m) =>
+          isLive(m) &&
+          (!type || m.type === type) &&
+          (!hasPhotos || (m.images || []).length > 0)
+      );
+      // Notes may be encrypted, so match text only after opening records
+      const matches = openRecords(candidates).then((opened) => {
+        const meals = opened.filter((m) => {
+          if (terms.length === 0) return true;
+          const text = [
+            m.notes,
+            ...(m.items || []).map((i) => i.name),
+            ...(m.tags || []),
+          ]
+            .join(" ")
+            .toLowerCase();
+          return terms.every((t) => text.includes(t));
+        });
+        meals.sort(
+          (a, b) => b.date.localeCompare(a.date) || b.eatenAt - a.eatenAt
+        );
+        return meals;
+      });
+      resolve(matches);
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to search meals: " + e.target.error));
+  });
+}
+
+export async function importMeals(records, { overwrite = false } = {}) {
+  const database = await openDB();
+  const sealed = [];
+  for (const meal of records) {
+    // Photos from a backup are full size; thumbnails are made here
+    const { thumbnailsPending: _, ...record } = normalizeMeal(meal);
+    const { thumbs, fulls } = await preparePhotos(record.images);
+    sealed.push({
+      record: await sealRecord({ ...record, images: thumbs }),
+      photos: await sealPhotos(record.id, fulls),
+    });
+  }
+  return writeImported(database, STORE_NAME, sealed, {
+    overwrite,
+    what: "meals",
+  });
+}
+
+// Adds sealed { record, photos } pairs, replacing existing records only when
+// `overwrite` is set.
+function writeImported(database, storeName, sealed, { overwrite, what }) {
+  const result = { added: 0, replaced: 0, skipped: 0 };
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([storeName, PHOTO_STORE], "readwrite");
+    const store = tx.objectStore(storeName);
+    sealed.forEach(({ record, photos }) => {
+      const check = store.getKey(record.id);
+      check.onsuccess = () => {
+        if (check.result === undefined) {
+          store.add(record);
+          writePhotos(tx, record.id, photos);
+          result.added++;
+        } else if (overwrite) {
+          store.put(record);
+          writePhotos(tx, record.id, photos);
+          result.replaced++;
+        } else {
+          result.skipped++;
+        }
+      };
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = (e) =>
+      reject(new Error(`Failed to import ${what}: ` + e.target.error));
+  });
+}
+
+export async function getTagCounts() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const request = tx.objectStore(STORE_NAME).index("tags").openCursor();
+    const counts = new Map();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        const list = [...counts].map(([tag, count]) => ({ tag, count }));
+        list.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+        resolve(list);
+        return;
+      }
+      if (isLive(cursor.value) && isActiveProfile(cursor.value)) {
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+      }
+      cursor.continue();
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to get tags: " + e.target.error));
+  });
+}
+
+export async function getMealsByTag(tag) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const request = tx.objectStore(STORE_NAME).index("tags").getAll(tag);
+    request.onsuccess = () =>
+      resolve(
+        openRecords(
+          (request.result || []).filter((m) => isLive(m) && isActiveProfile(m))
+        )
+      );
+    request.onerror = (e) =>
+      reject(new Error("Failed to get meals: " + e.target.error));
+  });
+}
+
+export async function addTemplate(meal, { includePhotos = false } = {}) {
+  const database = await openDB();
+  const { thumbs, fulls } = includePhotos
+    ? await preparePhotos(
+        pairPhotos(meal.images || [], meal.id ? await getMealPhotos(meal.id) : [])
+      )
+    : { thumbs: [], fulls: [] };
+  const template = {
+    id: generateId(),
+    profileId: meal.profileId || activeProfileId,
+    sourceMealId: meal.id || null,
+    name: (meal.notes || meal.type).split("\n")[0].slice(0, 40),
+    type: meal.type,
+    notes: meal.notes || "",
+    images: thumbs,
+    items: meal.items || [],
+    tags: meal.tags || [],
+    ...nutritionFields(meal),
+    createdAt: Date.now(),
+  };
+  const stored = await sealRecord(template);
+  const storedPhotos = await sealPhotos(template.id, fulls);
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([TEMPLATE_STORE, PHOTO_STORE], "readwrite");
+    tx.objectStore(TEMPLATE_STORE).add(stored);
+    writePhotos(tx, template.id, storedPhotos);
+    tx.oncomplete = () => resolve(template);
+    tx.onerror = (e) =>
+      reject(new Error("Failed to save favourite: " + e.target.error));
+  });
+}
+
+export async function getTemplates({ allProfiles = false } = {}) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(TEMPLATE_STORE, "readonly");
+    const request = tx.objectStore(TEMPLATE_STORE).getAll();
+    request.onsuccess = () => {
+      const templates = (request.result || []).filter(
+        (t) => allProfiles || isActiveProfile(t)
+      );
+      templates.sort((a, b) => b.createdAt - a.createdAt);
+      resolve(openRecords(templates));
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to get favourites: " + e.target.error));
+  });
+}
+
+// Favourites from a backup, with full-size photos like importMeals
+export async function importTemplates(records, { overwrite = false } = {}) {
+  const database = await openDB();
+  const sealed = [];
+  for (const template of records) {
+    const { thumbnailsPending: _, ...record } = template;
+    record.profileId = record.profileId || DEFAULT_PROFILE_ID;
+    const { thumbs, fulls } = await preparePhotos(record.images);
+    sealed.push({
+      record: await sealRecord({ ...record, images: thumbs }),
+      photos: await sealPhotos(record.id, fulls),
+    });
+  }
+  return writeImported(database, TEMPLATE_STORE, sealed, {
+    overwrite,
+    what: "favourites",
+  });
+}
+
+export async function deleteTemplate(id) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([TEMPLATE_STORE, PHOTO_STORE], "readwrite");
+    tx.objectStore(TEMPLATE_STORE).delete(id);
+    tx.objectStore(PHOTO_STORE).delete(id);
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = (e) =>
+      reject(new Error("Failed to delete favourite: " + e.target.error));
+  });
+}
+
+// Streams meals grouped by day along the date index, oldest day first, so
+// only one day's records are held at a time. Records are passed on still
+// sealed; callers only look at types and photo counts.
+export async function forEachMealDay(onDay) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("profileDate")
+      .openCursor(profileRange(activeProfileId));
+    let date = null;
+    let dayMeals = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || cursor.key[1] !== date) {
+        if (dayMeals.length) onDay(date, dayMeals);
+        if (!cursor) return resolve();
+        date = cursor.key[1];
+        dayMeals = [];
+      }
+      if (isLive(cursor.value)) dayMeals.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = (e) =>
+      reject(new Error("Failed to read meals: " + e.target.error));
+  });
+}
+
+// Re-seals every meal, favourite and photo under a new passcode, or stores
+// them in the clear when `passcode` is null. The new passcode is saved as
+// pending first and every value is tagged with its key, so an interrupted
+// change is picked up again by finishPasscodeChange() on the next unlock.
+export async function changePasscode(passcode) {
+  setResealing(true);
+  try {
+    await beginPasscodeChange(passcode);
+    await resealPending();
+  } finally {
+    setResealing(false);
+  }
+}
+
+export async function finishPasscodeChange() {
+  if (getPendingKeyId() === undefined) return;
+  setResealing(true);
+  try {
+    await resealPending();
+  } finally {
+    setResealing(false);
+  }
+}
+
+// Runs in batches so photos for the whole diary are never held in memory at
+// once. Other saves are refused meanwhile; records written just before the
+// change started are caught by the next pass.
+async function resealPending() {
+  const keyId = getPendingKeyId();
+  const database = await openDB();
+  let resealed;
+  do {
+    resealed = 0;
+    for (const storeName of [STORE_NAME, TEMPLATE_STORE, PHOTO_STORE]) {
+      resealed += await resealStore(database, storeName, keyId);
+    }
+  } while (resealed > 0);
+  commitPasscodeChange();
+}
+
+async function resealStore(database, storeName, keyId) {
+  const keys = await new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, "readonly");
+    const request = tx.objectStore(storeName).getAllKeys();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (e) =>
+      reject(new Error("Failed to read records: " + e.target.error));
+  });
+  let resealed = 0;
+  for (let i = 0; i < keys.length; i += RESEAL_BATCH) {
+    const batch = keys.slice(i, i + RESEAL_BATCH);
+    const records = await new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, "readonly");
+      const store = tx.objectStore(storeName);
+      const results = [];
+      batch.forEach((key, j) => {
+        store.get(key).onsuccess = (e) => (results[j] = e.target.result);
+      });
+      tx.oncomplete = () => resolve(results.filter(Boolean));
+      tx.onerror = (e) =>
+        reject(new Error("Failed to read records: " + e.target.error));
+    });
+    const changed = [];
+    for (const record of records) {
+      if (isSealedWith(record, keyId)) continue;
+      const opened = await openRecord(record);
+      if (!isSealedWith(opened, null)) {
+        throw new Error("Failed to re-encrypt records: a key is missing");
+      }
+      changed.push(keyId ? await sealRecord(opened, keyId) : opened);
+    }
+    if (changed.length === 0) continue;
+    await new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      // Skip records deleted since they were read rather than restoring them
+      changed.forEach((record) => {
+        const key = record[store.keyPath];
+        store.getKey(key).onsuccess = (e) => {
+          if (e.target.result !== undefined) store.put(record);
+        };
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) =>
+        reject(new Error("Failed to re-encrypt records: " + e.target.error));
+      tx.onabort = () =>
+        reject(new Error("Failed to re-encrypt records: " + tx.error));
+    });
+    resealed += changed.length;
+  }
+  return resealed;
+}
+
+// Finishes the v9 migration: replaces stand-in full images with real
+// thumbnails. Needs the passcode key when the lock is on.
+export async function generatePendingThumbnails() {
+  const database = await openDB();
+  let generated = 0;
+  for (const storeName of [STORE_NAME, TEMPLATE_STORE]) {
+    const keys = await new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, "readonly");
+      const request = tx
+        .objectStore(storeName)
+        .index("thumbnailsPending")
+        .getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (e) =>
+        reject(new Error("Failed to read records: " + e.target.error));
+    });
+    for (const key of keys) {
+      const record = await new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, "readonly");
+        const request = tx.objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(openRecord(request.result));
+        request.onerror = (e) =>
+          reject(new Error("Failed to read records: " + e.target.error));
+      });
+      if (!record?.thumbnailsPending) continue;
+      const { thumbnailsPending: _, ...rest } = record;
+      const images = [];
+      for (const blob of rest.images) images.push(await makeThumbnail(blob));
+      const stored = await sealRecord({ ...rest, images });
+      await new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, "readwrite");
+        const request = tx.objectStore(storeName).put(stored);
+        request.onsuccess = () => resolve();
+        request.onerror = (e) =>
+          reject(new Error("Failed to save thumbnails: " + e.target.error));
+      });
+      generated++;
+    }
+  }
+  return generated;
+}
+
+// Sealed photos are measured by their ciphertext, so this works while locked.
+function photoBytes(img) {
+  return img?.size ?? img?.data?.byteLength ?? 0;
+}
+
+// Photo storage per month across all profiles, newest month first.
+export async function getPhotoUsageByMonth() {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readonly");
+    const months = new Map();
+    const monthOf = new Map();
+    const meals = tx.objectStore(STORE_NAME).openCursor();
+    meals.onsuccess = () => {
+      const cursor = meals.result;
+      if (!cursor) {
+        const photos = tx.objectStore(PHOTO_STORE).openCursor();
+        photos.onsuccess = () => {
+          const photoCursor = photos.result;
+          if (!photoCursor) return;
+          const month = monthOf.get(photoCursor.value.ownerId);
+          if (month) {
+            months.get(month).bytes += photoCursor.value.images.reduce(
+              (sum, img) => sum + photoBytes(img),
+              0
+            );
+          }
+          photoCursor.continue();
+        };
+        return;
+      }
+      const { id, date, images = [] } = cursor.value;
+      if (images.length) {
+        const month = date.slice(0, 7);
+        monthOf.set(id, month);
+        if (!months.has(month)) {
+          months.set(month, { month, meals: 0, photos: 0, bytes: 0 });
+        }
+        const entry = months.get(month);
+        entry.meals++;
+        entry.photos += images.length;
+        entry.bytes += images.reduce((sum, img) => sum + photoBytes(img), 0);
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () =>
+      resolve(
+        [...months.values()].sort((a, b) => b.month.localeCompare(a.month))
+      );
+    tx.onerror = (e) =>
+      reject(new Error("Failed to measure photos: " + e.target.error));
+  });
+}
+
+function mealKeysBefore(database, cutoffDate) {
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(STORE_NAME, "readonly");
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("date")
+      .getAllKeys(IDBKeyRange.upperBound(cutoffDate, true));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (e) =>
+      reject(new Error("Failed to read meals: " + e.target.error));
+  });
+}
+
+// Re-encodes full-size photos of meals dated before `cutoffDate`, keeping
+// the original wherever the new encoding isn't smaller.
+export async function recompressPhotosBefore(
+  cutoffDate,
+  { maxWidth = PHOTO_MAX_WIDTH, quality = PHOTO_QUALITY } = {},
+  onProgress
+) {
+  const database = await openDB();
+  const keys = await mealKeysBefore(database, cutoffDate);
+  let savedBytes = 0;
+  for (let i = 0; i < keys.length; i++) {
+    onProgress?.(i, keys.length);
+    const images = await getMealPhotos(keys[i]);
+    if (!images.length) continue;
+    const smaller = [];
+    for (const blob of images) {
+      const full = await recompressFullImage(blob, maxWidth, quality);
+      smaller.push(full.size < blob.size ? full : blob);
+      savedBytes += Math.max(0, blob.size - full.size);
+    }
+    const stored = await sealPhotos(keys[i], smaller);
+    await new Promise((resolve, reject) => {
+      const tx = database.transaction(PHOTO_STORE, "readwrite");
+      writePhotos(tx, keys[i], stored);
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) =>
+        reject(new Error("Failed to save photos: " + e.target.error));
+    });
+  }
+  onProgress?.(keys.length, keys.length);
+  return savedBytes;
+}
+
+// Deletes photos of meals dated before `cutoffDate` but keeps the meals.
+// Sealed records are edited as-is, so no passcode is needed.
+export async function stripPhotosBefore(cutoffDate) {
+  const database = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([STORE_NAME, PHOTO_STORE], "readwrite");
+    const photos = tx.objectStore(PHOTO_STORE);
+    const request = tx
+      .objectStore(STORE_NAME)
+      .index("date")
+      .openCursor(IDBKeyRange.upperBound(cutoffDate, true));
+    let stripped = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const { thumbnailsPending: _, ...meal } = cursor.value;
+      if ((meal.images || []).length) {
+        photos.delete(cursor.primaryKey);
+        cursor.update({ ...meal, images: [], updatedAt: Date.now() });
+        stripped++;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(stripped);
+    tx.onerror = (e) =>
+      reject(new Error("Failed to remove photos: " + e.target.error));
+  });
+}
+
 export async function getDatesWithMeals(startDate, endDate) {
   const meals = await getMealsInRange(startDate, endDate);
   return new Set(meals.map((m) => m.date));
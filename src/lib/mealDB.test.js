@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+let mealDB;
+let passcode;
+
+beforeEach(async () => {
+  vi.resetModules();
+  mealDB = await import("./mealDB");
+  passcode = await import("./passcode");
+  await mealDB.openDB();
+});
+
+function photo(name) {
+  return {
+    full: new Blob([`${name}-full`], { type: "image/jpeg" }),
+    thumb: new Blob([`${name}-thumb`], { type: "image/jpeg" }),
+  };
+}
+
+function addLunch(notes) {
+  return mealDB.addMeal({
+    type: "lunch",
+    notes,
+    images: [photo(notes)],
+    date: "2026-10-01",
+    eatenAt: new Date(2026, 9, 1, 12).getTime(),
+  });
+}
+
+// Includes trashed meals, which getAllMeals skips
+async function storedIds(...meals) {
+  const found = await Promise.all(meals.map((m) => mealDB.getMeal(m.id)));
+  return found.filter(Boolean).map((m) => m.id).sort();
+}
+
+describe("purgeTrash", () => {
+  let mine;
+  let theirs;
+  let kept;
+
+  beforeEach(async () => {
+    mine = await addLunch("mine");
+    kept = await addLunch("kept");
+    const other = await mealDB.saveProfile({ name: "Sam" });
+    mealDB.setActiveProfileId(other.id);
+    theirs = await addLunch("theirs");
+    await mealDB.trashMeal(theirs.id);
+    mealDB.setActiveProfileId(mealDB.DEFAULT_PROFILE_ID);
+    await mealDB.trashMeal(mine.id);
+  });
+
+  it("only empties the given profile's trash", async () => {
+    expect(await mealDB.purgeTrash({ profileId: mealDB.DEFAULT_PROFILE_ID })).toBe(1);
+    expect(await storedIds(mine, kept, theirs)).toEqual([kept.id, theirs.id].sort());
+    expect(await mealDB.getMealPhotos(mine.id)).toEqual([]);
+    expect(await mealDB.getMealPhotos(theirs.id)).toHaveLength(1);
+  });
+
+  it("purges expired trash across every profile", async () => {
+    expect(await mealDB.purgeTrash({ before: Date.now() + 1000 })).toBe(2);
+    expect(await storedIds(mine, kept, theirs)).toEqual([kept.id]);
+    expect(await mealDB.getMealPhotos(kept.id)).toHaveLength(1);
+  });
+
+  it("keeps meals trashed after the cutoff", async () => {
+    expect(await mealDB.purgeTrash({ before: 0 })).toBe(0);
+    expect(await storedIds(mine, kept, theirs)).toHaveLength(3);
+  });
+});
+
+describe("resolveActiveProfile", () => {
+  it("keeps an active profile that exists", async () => {
+    const other = await mealDB.saveProfile({ name: "Sam" });
+    mealDB.setActiveProfileId(other.id);
+    const { profiles, activeId } = await mealDB.resolveActiveProfile();
+    expect(activeId).toBe(other.id);
+    expect(profiles).toHaveLength(2);
+  });
+
+  it("falls back to the default profile for an unknown id", async () => {
+    mealDB.setActiveProfileId("deleted-profile");
+    const { activeId } = await mealDB.resolveActiveProfile();
+    expect(activeId).toBe(mealDB.DEFAULT_PROFILE_ID);
+    expect(mealDB.getActiveProfileId()).toBe(mealDB.DEFAULT_PROFILE_ID);
+  });
+
+  it("falls back to the oldest profile once the default is deleted", async () => {
+    const other = await mealDB.saveProfile({ name: "Sam" });
+    await mealDB.deleteProfile(mealDB.DEFAULT_PROFILE_ID);
+    mealDB.setActiveProfileId("deleted-profile");
+    expect((await mealDB.resolveActiveProfile()).activeId).toBe(other.id);
+  });
+});
+
+describe("changePasscode", () => {
+  async function rawMeal(id) {
+    const database = await mealDB.openDB();
+    return new Promise((resolve) => {
+      database.transaction("meals").objectStore("meals").get(id).onsuccess = (e) =>
+        resolve(e.target.result);
+    });
+  }
+
+  async function notesOf(meals) {
+    const opened = await Promise.all(meals.map((m) => mealDB.getMeal(m.id)));
+    return opened.map((m) => m.notes);
+  }
+
+  async function photoText(meal) {
+    const [blob] = await mealDB.getMealPhotos(meal.id);
+    return blob.text();
+  }
+
+  it("seals notes and photos and opens them only when unlocked", async () => {
+    const meal = await addLunch("secret");
+    await mealDB.changePasscode("1234");
+    expect(passcode.isLockEnabled()).toBe(true);
+    expect((await rawMeal(meal.id)).notes).toHaveProperty("cipher", "AES-GCM");
+    expect(await notesOf([meal])).toEqual(["secret"]);
+    expect(await photoText(meal)).toBe("secret-full");
+
+    passcode.lock();
+    expect((await mealDB.getMeal(meal.id)).notes).toHaveProperty("cipher");
+    await expect(addLunch("locked")).rejects.toThrow("Unlock Meal Tracker");
+    await expect(passcode.unlock("0000")).rejects.toThrow("Wrong passcode");
+    await passcode.unlock("1234");
+    expect(await notesOf([meal])).toEqual(["secret"]);
+  });
+
+  it("re-keys to a new passcode and back to plain text", async () => {
+    const meal = await addLunch("secret");
+    await mealDB.changePasscode("1234");
+    await mealDB.changePasscode("5678");
+    passcode.lock();
+    await expect(passcode.unlock("1234")).rejects.toThrow("Wrong passcode");
+    await passcode.unlock("5678");
+    expect(await notesOf([meal])).toEqual(["secret"]);
+    expect(await photoText(meal)).toBe("secret-full");
+
+    await mealDB.changePasscode(null);
+    expect(passcode.isLockEnabled()).toBe(false);
+    expect((await rawMeal(meal.id)).notes).toBe("secret");
+    expect(await photoText(meal)).toBe("secret-full");
+  });
+
+  it("refuses other saves while re-sealing", async () => {
+    await addLunch("first");
+    const change = mealDB.changePasscode("1234");
+    await expect(addLunch("during")).rejects.toThrow("passcode change");
+    await change;
+    await expect(addLunch("after")).resolves.toBeTruthy();
+  });
+
+  describe("when interrupted", () => {
+    let meals;
+
+    beforeEach(async () => {
+      meals = [];
+      for (let i = 0; i < 30; i++) meals.push(await addLunch(`meal ${i}`));
+      await mealDB.changePasscode("1234");
+
+      // The tab "closes" after the first batch of meals was re-sealed
+      const put = IDBObjectStore.prototype.put;
+      let puts = 0;
+      const spy = vi
+        .spyOn(IDBObjectStore.prototype, "put")
+        .mockImplementation(function (...args) {
+          if (++puts > 25) throw new Error("tab closed");
+          return put.apply(this, args);
+        });
+      await expect(mealDB.changePasscode("5678")).rejects.toThrow();
+      spy.mockRestore();
+      passcode.lock();
+      expect(passcode.hasPendingPasscodeChange()).toBe(true);
+    });
+
+    it.each(["1234", "5678"])("finishes after unlocking with %s", async (code) => {
+      await passcode.unlock(code);
+      const expected = meals.map((m) => m.notes);
+      expect(await notesOf(meals)).toEqual(expected);
+
+      await mealDB.finishPasscodeChange();
+      expect(passcode.hasPendingPasscodeChange()).toBe(false);
+      passcode.lock();
+      await expect(passcode.unlock("1234")).rejects.toThrow("Wrong passcode");
+      await passcode.unlock("5678");
+      expect(await notesOf(meals)).toEqual(expected);
+      expect(await photoText(meals[29])).toBe("meal 29-full");
+    });
+  });
+});
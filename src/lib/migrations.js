@@ -0,0 +1,92 @@
+// Runs versioned IndexedDB migrations inside an `onupgradeneeded` handler.
+//
+// A migration is { version, description, migrate(ctx) }. `migrate` may be
+// async, but must only await IndexedDB requests on `ctx.tx` (use the helpers
+// below) — awaiting anything else lets the upgrade transaction auto-commit.
+
+export class DBBlockedError extends Error {
+  constructor() {
+    super(
+      "Meal Tracker is open in another tab with an older version. " +
+        "Close the other tabs, then reload this one to finish updating."
+    );
+    this.name = "DBBlockedError";
+  }
+}
+
+export class MigrationError extends Error {
+  constructor(version, cause) {
+    super(`Database upgrade to v${version} failed: ${cause?.message || cause}`);
+    this.name = "MigrationError";
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Rewrites every record in `storeName` with `fn(record)`. Returning
+// undefined leaves the record as is; returning null deletes it.
+export async function rewriteRecords(ctx, storeName, fn) {
+  const store = ctx.tx.objectStore(storeName);
+  const total = await requestToPromise(store.count());
+  let done = 0;
+  ctx.progress(0, total);
+  await new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      try {
+        const next = fn(cursor.value);
+        if (next === null) cursor.delete();
+        else if (next !== undefined) cursor.update(next);
+      } catch (err) {
+        return reject(err);
+      }
+      ctx.progress(++done, total);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function runMigrations(event, migrations, onProgress) {
+  const database = event.target.result;
+  const tx = event.target.transaction;
+  const pending = migrations.filter((m) => m.version > event.oldVersion);
+
+  for (let i = 0; i < pending.length; i++) {
+    const migration = pending[i];
+    const report = (done = 0, total = 0) =>
+      onProgress?.({
+        step: i + 1,
+        steps: pending.length,
+        version: migration.version,
+        description: migration.description,
+        done,
+        total,
+      });
+    report();
+    try {
+      await migration.migrate({
+        database,
+        tx,
+        oldVersion: event.oldVersion,
+        progress: report,
+      });
+    } catch (err) {
+      try {
+        tx.abort();
+      } catch {
+        // already aborted by the failed request
+      }
+      throw new MigrationError(migration.version, err);
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { describe, it, expect, vi } from "vitest";
+import { MigrationError, rewriteRecords, runMigrations } from "./migrations";
+
+function openWith(name, version, onUpgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    let upgradeError = null;
+    request.onupgradeneeded = (e) => {
+      onUpgrade(e).catch((err) => {
+        upgradeError = err;
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(upgradeError || request.error);
+  });
+}
+
+// The schema and record shape MealTrackerDB had before migrations existed
+function createV1Database(meals) {
+  return openWith("MealTrackerDB", 1, async (e) => {
+    const store = e.target.result.createObjectStore("meals", { keyPath: "id" });
+    store.createIndex("timestamp", "timestamp", { unique: false });
+    store.createIndex("date", "date", { unique: false });
+    store.createIndex("type", "type", { unique: false });
+    meals.forEach((meal) => store.put(meal));
+  }).then((database) => database.close());
+}
+
+async function freshMealDB() {
+  vi.resetModules();
+  return import("./mealDB");
+}
+
+describe("runMigrations", () => {
+  it("runs only the pending migrations, in order", async () => {
+    const ran = [];
+    const migrations = [1, 2, 3].map((version) => ({
+      version,
+      description: `v${version}`,
+      migrate({ database }) {
+        ran.push(version);
+        database.createObjectStore(`store${version}`);
+      },
+    }));
+    (await openWith("db", 1, (e) => runMigrations(e, migrations.slice(0, 1)))).close();
+    const database = await openWith("db", 3, (e) => runMigrations(e, migrations));
+    expect(ran).toEqual([1, 2, 3]);
+    expect([...database.objectStoreNames]).toEqual(["store1", "store2", "store3"]);
+    database.close();
+  });
+
+  it("rewrites, keeps and deletes records with rewriteRecords", async () => {
+    const migrations = [
+      {
+        version: 1,
+        description: "seed",
+        migrate({ database }) {
+          const store = database.createObjectStore("items", { keyPath: "id" });
+          [1, 2, 3].forEach((id) => store.put({ id, n: id }));
+        },
+      },
+      {
+        version: 2,
+        description: "rewrite",
+        migrate: (ctx) =>
+          rewriteRecords(ctx, "items", (item) => {
+            if (item.id === 1) return undefined;
+            if (item.id === 2) return null;
+            return { ...item, n: item.n * 10 };
+          }),
+      },
+    ];
+    const progress = [];
+    const database = await openWith("db", 2, (e) =>
+      runMigrations(e, migrations, (p) => progress.push(p))
+    );
+    const items = await new Promise((resolve) => {
+      database.transaction("items").objectStore("items").getAll().onsuccess = (e) =>
+        resolve(e.target.result);
+    });
+    expect(items).toEqual([
+      { id: 1, n: 1 },
+      { id: 3, n: 30 },
+    ]);
+    expect(progress.at(-1)).toMatchObject({ step: 2, steps: 2, done: 3, total: 3 });
+    database.close();
+  });
+
+  it("aborts the upgrade and reports the failing version", async () => {
+    const migrations = [
+      {
+        version: 1,
+        description: "ok",
+        migrate: ({ database }) => database.createObjectStore("a"),
+      },
+      {
+        version: 2,
+        description: "broken",
+        migrate() {
+          throw new Error("boom");
+        },
+      },
+    ];
+    const error = await openWith("db", 2, (e) => runMigrations(e, migrations)).catch(
+      (err) => err
+    );
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error.version).toBe(2);
+    const databases = await indexedDB.databases();
+    expect(databases.find((d) => d.name === "db")?.version ?? 0).toBe(0);
+  });
+});
+
+describe("MealTrackerDB migrations", () => {
+  it("creates the current schema on a fresh install", async () => {
+    const mealDB = await freshMealDB();
+    const database = await mealDB.openDB();
+    expect(database.version).toBe(mealDB.DB_VERSION);
+    expect([...database.objectStoreNames].sort()).toEqual([
+      "foods",
+      "meals",
+      "photos",
+      "profiles",
+      "templates",
+    ]);
+    expect(await mealDB.getProfiles()).toMatchObject([
+      { id: mealDB.DEFAULT_PROFILE_ID },
+    ]);
+  });
+
+  it("upgrades v1 meals through every migration", async () => {
+    const lunchAt = new Date(2024, 2, 5, 12, 30).getTime();
+    // Logged two days after it was eaten
+    const loggedLate = new Date(2024, 2, 8, 19, 15).getTime();
+    await createV1Database([
+      {
+        id: "m1",
+        type: "lunch",
+        notes: "Soup",
+        images: [new Blob(["photo"], { type: "image/jpeg" })],
+        date: "2024-03-05",
+        timestamp: lunchAt,
+      },
+      { id: "m2", type: "dinner", notes: "", images: [], date: "2024-03-06", timestamp: loggedLate },
+    ]);
+
+    const mealDB = await freshMealDB();
+    const steps = new Set();
+    const database = await mealDB.openDB({
+      onUpgradeProgress: (p) => p && steps.add(p.version),
+    });
+    expect(database.version).toBe(mealDB.DB_VERSION);
+    expect([...steps]).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    const lunch = await mealDB.getMeal("m1");
+    expect(lunch).toMatchObject({
+      profileId: mealDB.DEFAULT_PROFILE_ID,
+      tags: [],
+      calories: null,
+      eatenAt: lunchAt,
+      createdAt: lunchAt,
+      thumbnailsPending: 1,
+    });
+    expect(lunch).not.toHaveProperty("timestamp");
+    const photos = await mealDB.getMealPhotos("m1");
+    expect(await Promise.all(photos.map((p) => p.text()))).toEqual(["photo"]);
+
+    // Keeps the time of day on the meal's own date
+    const dinner = await mealDB.getMeal("m2");
+    expect(dinner.eatenAt).toBe(new Date(2024, 2, 6, 19, 15).getTime());
+    expect(dinner.createdAt).toBe(loggedLate);
+
+    expect((await mealDB.getMealsByDate("2024-03-05")).map((m) => m.id)).toEqual(["m1"]);
+    const month = await mealDB.getHistoryMonth();
+    expect(month.month).toBe("2024-03");
+    expect(month.meals.map((m) => m.id).sort()).toEqual(["m1", "m2"]);
+  });
+});
@@ -1,6 +1,65 @@
-const NOTIFICATION_HOURS = [10, 12, 14, 16, 18, 20, 22, 24];
+import {
+  getMealsByDate,
+  getProfiles,
+  getActiveProfileId,
+  DEFAULT_PROFILE_ID,
+} from "./mealDB";
+import { formatDate } from "./helpers";
+import { getSkippedMealTypes } from "./skippedMeals";
+
+const SETTINGS_KEY = "mealTracker.reminders";
+const MEAL_TYPES = ["breakfast", "lunch", "dinner", "snack"];
+// Browsers treat this as a lower bound and usually wake far less often
+const SNOOZE_CHECK_INTERVAL = 15 * 60 * 1000;
 let timers = [];
 
+export const DEFAULT_REMINDER_SETTINGS = {
+  meals: {
+    breakfast: { enabled: true, time: "09:00" },
+    lunch: { enabled: true, time: "13:00" },
+    dinner: { enabled: true, time: "20:00" },
+    snack: { enabled: false, time: "16:00" },
+  },
+  days: [0, 1, 2, 3, 4, 5, 6],
+  quietHours: { enabled: false, start: "22:00", end: "07:00" },
+  skipIfLogged: true,
+};
+
+// The default profile keeps the original key so existing settings carry over.
+function settingsKey(profileId) {
+  return profileId === DEFAULT_PROFILE_ID
+    ? SETTINGS_KEY
+    : `${SETTINGS_KEY}.${profileId}`;
+}
+
+export function getReminderSettings(profileId = getActiveProfileId()) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(settingsKey(profileId)));
+    if (!saved) return DEFAULT_REMINDER_SETTINGS;
+    return {
+      ...DEFAULT_REMINDER_SETTINGS,
+      ...saved,
+      meals: { ...DEFAULT_REMINDER_SETTINGS.meals, ...saved.meals },
+      quietHours: {
+        ...DEFAULT_REMINDER_SETTINGS.quietHours,
+        ...saved.quietHours,
+      },
+    };
+  } catch {
+    return DEFAULT_REMINDER_SETTINGS;
+  }
+}
+
+export function saveReminderSettings(
+  settings,
+  profileId = getActiveProfileId()
+) {
+  localStorage.setItem(settingsKey(profileId), JSON.stringify(settings));
+  if ("Notification" in window && Notification.permission === "granted") {
+    scheduleNotifications().catch(console.error);
+  }
+}
+
 export async function requestNotificationPermission() {
   if (!("Notification" in window)) return false;
   if (Notification.permission === "granted") return true;
@@ -9,12 +68,59 @@ export async function requestNotificationPermission() {
   return result === "granted";
 }
 
-function showMealReminder(hour) {
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function inQuietHours(minutes, quietHours) {
+  if (!quietHours.enabled) return false;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  // Quiet hours may wrap past midnight (e.g. 22:00–07:00)
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function nextReminderTime(time, settings, now = new Date()) {
+  const minutes = toMinutes(time);
+  if (inQuietHours(minutes, settings.quietHours)) return null;
+  for (let offset = 0; offset <= 7; offset++) {
+    const target = new Date(now);
+    target.setDate(target.getDate() + offset);
+    target.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (target > now && settings.days.includes(target.getDay())) return target;
+  }
+  return null;
+}
+
+async function alreadyLogged(type, profileId) {
+  const meals = await getMealsByDate(formatDate(new Date()), profileId);
+  return meals.some((m) => m.type === type);
+}
+
+async function skippedToday(type, profileId) {
+  const skipped = await getSkippedMealTypes(formatDate(new Date()), profileId);
+  return skipped.includes(type);
+}
+
+function showMealReminder(type, profile, multipleProfiles) {
+  const body = multipleProfiles
+    ? `Time to log ${profile.name}'s ${type}!`
+    : `Time to log your ${type}!`;
+  const tag = `meal-reminder-${profile.id}-${type}`;
   if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
     navigator.serviceWorker.ready.then((reg) => {
       reg.showNotification("Meal Tracker", {
-        body: `Add your meals now for tracking!`,
-        tag: `meal-reminder-${hour}`,
+        body,
+        tag,
+        data: { type, profileId: profile.id, date: formatDate(new Date()) },
+        actions: [
+          { action: "log", title: `Log ${type}` },
+          { action: "snooze", title: "Snooze 30 min" },
+          { action: "skip", title: "Skipped meal" },
+        ],
         renotify: true,
         requireInteraction: false,
       });
@@ -23,32 +129,55 @@ function showMealReminder(hour) {
     "Notification" in window &&
     Notification.permission === "granted"
   ) {
-    new Notification("Meal Tracker", {
-      body: `Add your meals now for tracking!`,
-      tag: `meal-reminder-${hour}`,
-    });
+    new Notification("Meal Tracker", { body, tag });
   }
 }
 
-export function scheduleNotifications() {
+export async function scheduleNotifications() {
+  const profiles = await getProfiles();
   timers.forEach(clearTimeout);
   timers = [];
-  const now = new Date();
-  NOTIFICATION_HOURS.forEach((hour) => {
-    const target = new Date();
-    target.setHours(hour, 0, 0, 0);
-    if (target <= now) target.setDate(target.getDate() + 1);
-    const delay = target.getTime() - now.getTime();
-    timers.push(
-      setTimeout(() => {
-        showMealReminder(hour);
-        scheduleNotifications();
-      }, delay)
-    );
+  profiles.forEach((profile) => {
+    const settings = getReminderSettings(profile.id);
+    MEAL_TYPES.forEach((type) => {
+      const meal = settings.meals[type];
+      if (!meal?.enabled) return;
+      const target = nextReminderTime(meal.time, settings);
+      if (!target) return;
+      const delay = target.getTime() - Date.now();
+      timers.push(
+        setTimeout(async () => {
+          try {
+            const current = getReminderSettings(profile.id);
+            if (
+              !(await skippedToday(type, profile.id)) &&
+              (!current.skipIfLogged ||
+                !(await alreadyLogged(type, profile.id)))
+            ) {
+              showMealReminder(type, profile, profiles.length > 1);
+            }
+          } catch (err) {
+            console.error("Reminder error:", err);
+          }
+          scheduleNotifications().catch(console.error);
+        }, delay)
+      );
+    });
   });
 }
 
 export async function initNotifications() {
   const granted = await requestNotificationPermission();
-  if (granted) scheduleNotifications();
+  if (granted) scheduleNotifications().catch(console.error);
+  // Wake the service worker so it can fire snoozes that came due while closed
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready.then((reg) => {
+      reg.active?.postMessage({ type: "check-snoozes" });
+      // Lets the browser wake the worker for snoozes while the app is closed.
+      // Only installed apps get the permission, so this often fails quietly.
+      reg.periodicSync
+        ?.register("check-snoozes", { minInterval: SNOOZE_CHECK_INTERVAL })
+        .catch(() => {});
+    });
+  }
 }
@@ -0,0 +1,343 @@
+// Optional passcode lock. The passcode is stretched with PBKDF2 into an
+// AES-GCM key that only ever lives in memory; meal notes and photos are
+// sealed with it before they reach IndexedDB.
+//
+// Settings are { current, pending, autoLockMinutes }. A slot is
+// { id, salt, iterations, verifier } for one passcode, and every sealed
+// value records the id of the key it was sealed with. `pending` is set while
+// records are re-sealed for a new passcode ({ slot: null } when turning the
+// lock off); its `wrapped` keys let either passcode unlock both keys, so an
+// interrupted change can be finished on the next unlock.
+
+const SETTINGS_KEY = "mealTracker.lock";
+const ITERATIONS = 310000;
+const CIPHER = "AES-GCM";
+const VERIFIER = "meal-tracker";
+// Slot id for settings saved before slots had ids
+const LEGACY_KEY_ID = "legacy";
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// Unlocked keys by slot id
+const keys = new Map();
+let changing = false;
+let lockWhenChanged = false;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+function getConfig() {
+  try {
+    const config = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (config?.salt) {
+      const { autoLockMinutes, ...slot } = config;
+      return {
+        current: { id: LEGACY_KEY_ID, ...slot },
+        pending: null,
+        autoLockMinutes,
+      };
+    }
+    return config;
+  } catch {
+    return null;
+  }
+}
+
+function saveConfig(config) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(config));
+}
+
+export function isLockEnabled() {
+  return !!getConfig();
+}
+
+export function isUnlocked() {
+  return keys.size > 0;
+}
+
+export function getAutoLockMinutes() {
+  return getConfig()?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+export function saveAutoLockMinutes(minutes) {
+  const config = getConfig();
+  if (!config) return;
+  saveConfig({ ...config, autoLockMinutes: minutes });
+}
+
+// Keys are extractable so each one can be wrapped with the other while a
+// passcode change is pending.
+async function deriveKey(passcode, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passcode),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: CIPHER, length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encrypt(data, withKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipherText = await crypto.subtle.encrypt(
+    { name: CIPHER, iv },
+    withKey,
+    data
+  );
+  return { cipher: CIPHER, iv, data: cipherText };
+}
+
+function isSealed(value) {
+  return value?.cipher === CIPHER;
+}
+
+function encodeEnvelope({ iv, data }) {
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+function decryptEncoded(encoded, withKey) {
+  return crypto.subtle.decrypt(
+    { name: CIPHER, iv: fromBase64(encoded.iv) },
+    withKey,
+    fromBase64(encoded.data)
+  );
+}
+
+async function createSlot(passcode) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passcode, salt, ITERATIONS);
+  const verifier = await encrypt(new TextEncoder().encode(VERIFIER), key);
+  return {
+    key,
+    slot: {
+      id: toBase64(crypto.getRandomValues(new Uint8Array(9))),
+      salt: toBase64(salt),
+      iterations: ITERATIONS,
+      verifier: encodeEnvelope(verifier),
+    },
+  };
+}
+
+// Resolves to the slot's key, or null when the passcode doesn't match.
+async function openSlot(slot, passcode) {
+  const candidate = await deriveKey(
+    passcode,
+    fromBase64(slot.salt),
+    slot.iterations
+  );
+  try {
+    await decryptEncoded(slot.verifier, candidate);
+    return candidate;
+  } catch {
+    return null;
+  }
+}
+
+async function wrapKey(key, withKey) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  return encodeEnvelope(await encrypt(raw, withKey));
+}
+
+async function unwrapKey(wrapped, withKey) {
+  return crypto.subtle.importKey(
+    "raw",
+    await decryptEncoded(wrapped, withKey),
+    CIPHER,
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// While a change is pending either the old or the new passcode works.
+export async function unlock(passcode) {
+  const config = getConfig();
+  if (!config) return;
+  const { current, pending } = config;
+  const currentKey = current && (await openSlot(current, passcode));
+  const pendingKey = pending?.slot && (await openSlot(pending.slot, passcode));
+  if (!currentKey && !pendingKey) throw new Error("Wrong passcode");
+  const unlocked = new Map();
+  if (current) {
+    unlocked.set(
+      current.id,
+      currentKey || (await unwrapKey(pending.wrapped.current, pendingKey))
+    );
+  }
+  if (pending?.slot) {
+    unlocked.set(
+      pending.slot.id,
+      pendingKey || (await unwrapKey(pending.wrapped.pending, currentKey))
+    );
+  }
+  keys.clear();
+  unlocked.forEach((value, id) => keys.set(id, value));
+}
+
+// Locking waits for a running passcode change, which still needs the keys.
+export function lock() {
+  if (changing) {
+    lockWhenChanged = true;
+    return;
+  }
+  keys.clear();
+}
+
+export function hasPendingPasscodeChange() {
+  return !!getConfig()?.pending;
+}
+
+// Saves the new passcode as pending before any record is re-sealed. Pass
+// null to turn the lock off.
+export async function beginPasscodeChange(passcode) {
+  const config = getConfig();
+  if (config?.pending) throw new Error("A passcode change is already in progress");
+  const currentKey = config?.current && keys.get(config.current.id);
+  if (config?.current && !currentKey) {
+    throw new Error("Unlock Meal Tracker to change the passcode");
+  }
+  let slot = null;
+  let wrapped = null;
+  if (passcode) {
+    const created = await createSlot(passcode);
+    slot = created.slot;
+    if (currentKey) {
+      wrapped = {
+        current: await wrapKey(currentKey, created.key),
+        pending: await wrapKey(created.key, currentKey),
+      };
+    }
+    keys.set(slot.id, created.key);
+  }
+  saveConfig({
+    current: config?.current || null,
+    pending: { slot, wrapped },
+    autoLockMinutes: config?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES,
+  });
+}
+
+// The key id records are being re-sealed with (null when turning the lock
+// off), or undefined when no change is pending.
+export function getPendingKeyId() {
+  const pending = getConfig()?.pending;
+  return pending ? pending.slot?.id ?? null : undefined;
+}
+
+// Blocks other saves while records are being re-sealed.
+export function setResealing(running) {
+  changing = running;
+  if (!running && lockWhenChanged) {
+    lockWhenChanged = false;
+    keys.clear();
+  }
+}
+
+// Makes the pending passcode the current one once every record uses it.
+export function commitPasscodeChange() {
+  const config = getConfig();
+  if (!config?.pending) return;
+  const { slot } = config.pending;
+  if (!slot) {
+    localStorage.removeItem(SETTINGS_KEY);
+    keys.clear();
+    return;
+  }
+  saveConfig({
+    current: slot,
+    pending: null,
+    autoLockMinutes: config.autoLockMinutes,
+  });
+  [...keys.keys()].forEach((id) => id !== slot.id && keys.delete(id));
+}
+
+// Whether every notes/photo value in `record` is sealed with `keyId`, or
+// with nothing when `keyId` is null.
+export function isSealedWith(record, keyId) {
+  const currentId = getConfig()?.current?.id;
+  const values = [...(record.images || [])];
+  if (typeof record.notes === "string" || isSealed(record.notes)) {
+    values.push(record.notes);
+  }
+  return values.every((value) =>
+    keyId
+      ? isSealed(value) && (value.keyId ?? currentId) === keyId
+      : !isSealed(value)
+  );
+}
+
+// `keyId` picks the key explicitly, for re-sealing; otherwise the current
+// key is used and saves are refused while a passcode change runs.
+export async function sealRecord(record, keyId) {
+  if (keyId === undefined) {
+    if (changing) throw new Error("Wait for the passcode change to finish");
+    const config = getConfig();
+    if (!config) return record;
+    if (!config.current) throw new Error("Wait for the passcode change to finish");
+    keyId = config.current.id;
+  }
+  const withKey = keys.get(keyId);
+  if (!withKey) throw new Error("Unlock Meal Tracker to save changes");
+  const sealed = { ...record };
+  if (typeof record.notes === "string") {
+    sealed.notes = {
+      ...(await encrypt(new TextEncoder().encode(record.notes), withKey)),
+      keyId,
+    };
+  }
+  const images = [];
+  for (const img of record.images || []) {
+    if (isSealed(img) && (img.keyId ?? getConfig()?.current?.id) === keyId) {
+      images.push(img);
+    } else {
+      const plain = isSealed(img) ? await openValue(img) : img;
+      const envelope = await encrypt(await plain.arrayBuffer(), withKey);
+      images.push({ ...envelope, mime: plain.type || "image/jpeg", keyId });
+    }
+  }
+  sealed.images = images;
+  return sealed;
+}
+
+// Resolves to the value itself when its key isn't unlocked.
+async function openValue(value, currentId = getConfig()?.current?.id) {
+  const withKey = keys.get(value.keyId ?? currentId);
+  if (!withKey) return value;
+  const plain = await crypto.subtle.decrypt(
+    { name: CIPHER, iv: value.iv },
+    withKey,
+    value.data
+  );
+  return value.mime ? new Blob([plain], { type: value.mime }) : plain;
+}
+
+// Without the keys (locked, or lock disabled) sealed fields stay sealed.
+export async function openRecord(record) {
+  if (keys.size === 0 || !record) return record;
+  const currentId = getConfig()?.current?.id;
+  const opened = { ...record };
+  if (isSealed(record.notes)) {
+    const plain = await openValue(record.notes, currentId);
+    opened.notes = isSealed(plain) ? plain : new TextDecoder().decode(plain);
+  }
+  const images = [];
+  for (const img of record.images || []) {
+    images.push(isSealed(img) ? await openValue(img, currentId) : img);
+  }
+  opened.images = images;
+  return opened;
+}
+
+export function openRecords(records) {
+  return Promise.all(records.map(openRecord));
+}
@@ -0,0 +1,73 @@
+import { addMeal } from "./mealDB";
+import { readExif } from "./exif";
+import { formatDate } from "./helpers";
+
+export const MAX_PHOTOS_PER_MEAL = 5;
+export const DEFAULT_CLUSTER_GAP_MINUTES = 60;
+
+// Falls back to the file's modified time when there is no EXIF date.
+export async function readPhotoTimes(files) {
+  const photos = [];
+  for (const file of files) {
+    const { takenAt } = await readExif(file);
+    photos.push({
+      file,
+      takenAt: takenAt ?? file.lastModified,
+      fromExif: takenAt !== null,
+    });
+  }
+  return photos.sort((a, b) => a.takenAt - b.takenAt);
+}
+
+export function guessMealType(timestamp) {
+  const hour = new Date(timestamp).getHours();
+  if (hour >= 5 && hour < 11) return "breakfast";
+  if (hour >= 11 && hour < 15) return "lunch";
+  if (hour >= 17 && hour < 23) return "dinner";
+  return "snack";
+}
+
+// Photos taken within `gapMinutes` of the previous one belong to the same
+// meal. Clusters never span days or exceed MAX_PHOTOS_PER_MEAL.
+export function clusterPhotos(photos, gapMinutes) {
+  const gap = gapMinutes * 60 * 1000;
+  const clusters = [];
+  let current = null;
+  photos.forEach((photo) => {
+    const last = current?.photos[current.photos.length - 1];
+    if (
+      !last ||
+      photo.takenAt - last.takenAt > gap ||
+      formatDate(photo.takenAt) !== formatDate(last.takenAt) ||
+      current.photos.length >= MAX_PHOTOS_PER_MEAL
+    ) {
+      current = { photos: [] };
+      clusters.push(current);
+    }
+    current.photos.push(photo);
+  });
+  return clusters.map(({ photos: group }) => {
+    const takenAt = group[0].takenAt;
+    return {
+      photos: group,
+      takenAt,
+      endAt: group[group.length - 1].takenAt,
+      type: guessMealType(takenAt),
+    };
+  });
+}
+
+export async function importPhotoClusters(clusters, onProgress) {
+  for (let i = 0; i < clusters.length; i++) {
+    onProgress?.(i, clusters.length);
+    const { photos, takenAt, type } = clusters[i];
+    await addMeal({
+      type,
+      images: photos.map((p) => p.file),
+      date: formatDate(takenAt),
+      eatenAt: takenAt,
+    });
+  }
+  onProgress?.(clusters.length, clusters.length);
+  return clusters.length;
+}
@@ -0,0 +1,24 @@
+// Photos and text shared from other apps arrive as a POST to the service
+// worker (see public/sw.js), which stashes them here and opens the app with
+// ?action=share.
+
+const SHARE_CACHE = "meal-tracker-share";
+const SHARE_META = "__share/meta";
+
+// Resolves to { files, text, total } once, or null when nothing is waiting.
+// `total` counts every shared photo, including any over the per-meal limit.
+export async function takeSharedItems() {
+  if (!("caches" in window)) return null;
+  const cache = await caches.open(SHARE_CACHE);
+  const base = import.meta.env.BASE_URL;
+  const metaResponse = await cache.match(base + SHARE_META);
+  if (!metaResponse) return null;
+  const meta = await metaResponse.json();
+  const files = [];
+  for (const { key, name, type } of meta.files) {
+    const res = await cache.match(base + key);
+    if (res) files.push(new File([await res.blob()], name, { type }));
+  }
+  await caches.delete(SHARE_CACHE);
+  return { files, text: meta.text, total: meta.total };
+}
@@ -0,0 +1,23 @@
+import { getActiveProfileId } from "./mealDB";
+
+// Meals marked with a reminder's "Skipped meal" action. The service worker
+// (see public/sw.js) records them in the Cache API, since it can't reach
+// localStorage, and reminders and the day view read them back here.
+
+const SKIP_CACHE = "meal-tracker-skips";
+const SKIPS_KEY = "__skips";
+
+// Resolves to the meal types skipped on `date` (YYYY-MM-DD).
+export async function getSkippedMealTypes(
+  date,
+  profileId = getActiveProfileId()
+) {
+  if (!("caches" in window)) return [];
+  const cache = await caches.open(SKIP_CACHE);
+  const res = await cache.match(import.meta.env.BASE_URL + SKIPS_KEY);
+  if (!res) return [];
+  const skips = await res.json();
+  return skips
+    .filter((s) => s.date === date && s.profileId === profileId)
+    .map((s) => s.type);
+}
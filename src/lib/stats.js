@@ -0,0 +1,87 @@
+import { getMealsInRange } from "./mealDB";
+import { formatDate, getWeekStart, mealTypeEmojis } from "./helpers";
+
+const MEAL_TYPES = Object.keys(mealTypeEmojis);
+
+function minutesOfDay(timestamp) {
+  const d = new Date(timestamp);
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+function average(values) {
+  return values.length
+    ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+    : null;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(MEAL_TYPES.map((t) => [t, 0]));
+}
+
+// Buckets are days for short ranges and weeks (Mon–Sun) for longer ones so
+// the chart stays readable on a phone.
+export async function getMealStats(weeks) {
+  const end = new Date();
+  end.setHours(12, 0, 0, 0);
+  const start = new Date(end);
+  start.setDate(start.getDate() - weeks * 7 + 1);
+  const startStr = formatDate(start);
+  const endStr = formatDate(end);
+  const meals = await getMealsInRange(startStr, endStr);
+
+  const byDate = new Map();
+  meals.forEach((m) => {
+    if (!byDate.has(m.date)) byDate.set(m.date, []);
+    byDate.get(m.date).push(m);
+  });
+
+  const perWeek = weeks > 4;
+  const buckets = [];
+  const bucketIndex = new Map();
+  const days = [];
+  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    const dateStr = formatDate(d);
+    days.push(dateStr);
+    const key = perWeek ? formatDate(getWeekStart(d)) : dateStr;
+    if (!bucketIndex.has(key)) {
+      bucketIndex.set(key, buckets.length);
+      buckets.push({ key, counts: emptyCounts(), total: 0 });
+    }
+    const bucket = buckets[bucketIndex.get(key)];
+    (byDate.get(dateStr) || []).forEach((m) => {
+      bucket.counts[m.type] = (bucket.counts[m.type] || 0) + 1;
+      bucket.total++;
+    });
+  }
+
+  const typeTotals = emptyCounts();
+  meals.forEach((m) => {
+    typeTotals[m.type] = (typeTotals[m.type] || 0) + 1;
+  });
+
+  const firstTimes = [];
+  const lastTimes = [];
+  byDate.forEach((dayMeals) => {
+    const mins = dayMeals.map((m) => minutesOfDay(m.eatenAt));
+    firstTimes.push(Math.min(...mins));
+    lastTimes.push(Math.max(...mins));
+  });
+
+  const withPhotos = meals.filter((m) => (m.images || []).length > 0).length;
+
+  return {
+    startDate: startStr,
+    endDate: endStr,
+    perWeek,
+    buckets,
+    typeTotals,
+    totalMeals: meals.length,
+    loggedDays: byDate.size,
+    emptyDays: days.filter((d) => !byDate.has(d)).length,
+    totalDays: days.length,
+    avgFirstMeal: average(firstTimes),
+    avgLastMeal: average(lastTimes),
+    withPhotos,
+    textOnly: meals.length - withPhotos,
+  };
+}
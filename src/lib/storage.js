@@ -0,0 +1,17 @@
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+export async function isStoragePersisted() {
+  if (!navigator.storage?.persisted) return false;
+  return navigator.storage.persisted();
+}
+
+// Browsers may grant or refuse without asking, e.g. based on site engagement
+// or whether the app is installed.
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  return navigator.storage.persist();
+}
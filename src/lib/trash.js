@@ -0,0 +1,18 @@
+import { purgeTrash } from "./mealDB";
+
+const SETTINGS_KEY = "mealTracker.trashDays";
+export const DEFAULT_TRASH_DAYS = 30;
+
+export function getTrashRetentionDays() {
+  const days = Number(localStorage.getItem(SETTINGS_KEY));
+  return days > 0 ? days : DEFAULT_TRASH_DAYS;
+}
+
+export function saveTrashRetentionDays(days) {
+  localStorage.setItem(SETTINGS_KEY, String(days));
+}
+
+export function purgeExpiredTrash() {
+  const cutoff = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+  return purgeTrash({ before: cutoff });
+}
@@ -0,0 +1,27 @@
+// Node has no IndexedDB or localStorage; give every test file fresh ones.
+import { IDBFactory } from "fake-indexeddb";
+import "fake-indexeddb/auto";
+import { beforeEach } from "vitest";
+
+class MemoryStorage {
+  #items = new Map();
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+  clear() {
+    this.#items.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.localStorage.clear();
+});